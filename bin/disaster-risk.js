@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+// disaster-risk: single lookups and portfolio batch scoring from the command
+// line, using the same risk engine as the web app (src/riskEngine.js).
+//
+//   disaster-risk lookup 94103 [--years 10] [--county 06081] [--json | --csv]
+//   disaster-risk batch input.csv --out results.csv [--format csv|json]
+//                      [--column zip] [--years 10] [--rate 2] [--restart]
+//
+// Batch output is written one row at a time, so an interrupted run resumes
+// when the same command is run again: rows already in --out are kept, and rows
+// that failed because a service was down are retried.
+//
+// Set GEOCODER_STUB_URL to send every geocoding request to a local stub server
+// (see src/geocoders.js).
+
+import { parseArgs } from "node:util";
+import { readFile, writeFile, appendFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { assessLocation, configureGeocoders, formatProbability, formatCurrency, describeError } from "../src/riskEngine.js";
+import { parseCSVRecords, csvLine, toCSV } from "../src/csv.js";
+import { BATCH_COLUMNS, findQueryColumn, validateBatchQuery, assessmentRow, errorRow } from "../src/batch.js";
+
+const PUBLIC_DIR = resolve(dirname(fileURLToPath(import.meta.url)), "../public");
+const DEFAULT_RATE = 2;
+
+const USAGE = `Usage:
+  disaster-risk lookup <zip | address | "City, ST" | "lat, lng"> [options]
+  disaster-risk batch <input.csv> [--out results.csv] [options]
+
+Lookup options:
+  --years <n>       Horizon for cumulative odds (default 1)
+  --county <fips>   For ZIPs that span counties, score this county ("blended" for a blend)
+  --json            Print the full assessment as JSON
+  --csv             Print one CSV row with a header
+
+Batch options:
+  --out <file>      Output file; rerunning with the same file resumes the run
+  --format <fmt>    csv (default) or json (one JSON object per line)
+  --column <name>   Input column holding the location (default: zip/address/query/...)
+  --years <n>       Horizon for cumulative odds (default 1)
+  --rate <n>        Maximum requests per second to each service (default ${DEFAULT_RATE})
+  --restart         Ignore existing output and start over`;
+
+class UsageError extends Error {}
+
+// Site-relative URLs (the NRI snapshot and ZIP crosswalk) are read from
+// public/ when they have been generated, so the CLI can run offline too
+async function localFetch(url, init) {
+  if (!String(url).startsWith("/")) return fetch(url, init);
+  try {
+    return new Response(await readFile(resolve(PUBLIC_DIR, `.${url}`)), { headers: { "Content-Type": "application/json" } });
+  } catch (e) {
+    return new Response("Not found", { status: 404 });
+  }
+}
+
+// Spaces requests to each host at most `perSecond` apart. The engine already
+// backs off on 429s and honours Retry-After; this keeps large batches from
+// triggering them in the first place.
+function rateLimitedFetch(perSecond) {
+  const interval = 1000 / perSecond;
+  const nextSlot = new Map();
+  return async (url, init) => {
+    if (String(url).startsWith("/")) return localFetch(url, init);
+    const { host } = new URL(url);
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(host) ?? 0);
+    nextSlot.set(host, slot + interval);
+    if (slot > now) await new Promise((r) => setTimeout(r, slot - now));
+    return localFetch(url, init);
+  };
+}
+
+function parseYears(value) {
+  if (value === undefined) return 1;
+  const years = Number(value);
+  if (!Number.isInteger(years) || years < 1 || years > 100) throw new UsageError("--years must be a whole number from 1 to 100.");
+  return years;
+}
+
+// ─── LOOKUP ──────────────────────────────────────────────────────────
+
+function printAssessment(result) {
+  const { location, indices, combined, horizonYears } = result;
+  const pad = (text, width) => String(text ?? "—").padEnd(width);
+  const odds = (p) => (p === null || p === undefined ? "—" : formatProbability(p));
+
+  console.log(`${location.matchedAddress}`);
+  console.log(`${result.nri.county ?? location.countyName}, ${result.nri.state ?? location.stateName} (${location.fips})`);
+  if (location.counties.length > 1) {
+    console.log(`ZIP spans ${location.counties.map((c) => `${c.countyName} ${Math.round(c.share * 100)}%`).join(", ")}`);
+  }
+  console.log("");
+  console.log(`Overall risk          ${pad(indices.risk.score?.toFixed(1), 7)}${indices.risk.rating ?? ""}`);
+  console.log(`Expected annual loss  ${pad(indices.expectedLoss.score?.toFixed(1), 7)}${indices.expectedLoss.rating ?? ""} (${formatCurrency(indices.expectedLoss.dollars)}/yr)`);
+  console.log(`Social vulnerability  ${pad(indices.socialVulnerability.score?.toFixed(1), 7)}${indices.socialVulnerability.rating ?? ""}`);
+  console.log(`Community resilience  ${pad(indices.communityResilience.score?.toFixed(1), 7)}${indices.communityResilience.rating ?? ""}`);
+  console.log(`Any hazard            ${odds(combined.annual)} per year${horizonYears !== 1 ? `, ${odds(combined.horizon)} over ${horizonYears} years` : ""}`);
+  console.log("");
+
+  const horizonHeader = horizonYears !== 1 ? `${horizonYears}-year odds` : "";
+  console.log(`${pad("Hazard", 20)}${pad("Score", 8)}${pad("Rating", 22)}${pad("Annual odds", 14)}${horizonHeader}`);
+  for (const hazard of result.hazards.filter((h) => h.applicable)) {
+    console.log(
+      `${pad(hazard.label, 20)}${pad(hazard.score?.toFixed(1), 8)}${pad(hazard.rating, 22)}${pad(odds(hazard.odds.annual), 14)}${
+        horizonYears !== 1 ? odds(hazard.odds.horizon) : ""
+      }`
+    );
+  }
+  const skipped = result.hazards.filter((h) => !h.applicable).map((h) => h.label);
+  if (skipped.length) console.log(`\nNot applicable: ${skipped.join(", ")}`);
+  if (result.sources.nri.source !== "live") console.log(`\nNRI data from ${result.sources.nri.source}.`);
+}
+
+async function lookup(positionals, values) {
+  const query = positionals.join(" ").trim();
+  if (!query) throw new UsageError("lookup needs a ZIP code, address, city or coordinates.");
+  const invalid = validateBatchQuery(query);
+  if (invalid) throw new UsageError(invalid);
+
+  const result = await assessLocation(query, {
+    fetch: localFetch,
+    horizonYears: parseYears(values.years),
+    county: values.county,
+  });
+
+  if (values.json) console.log(JSON.stringify(result, null, 2));
+  else if (values.csv) process.stdout.write(toCSV(BATCH_COLUMNS, [assessmentRow(1, query, result)]));
+  else printAssessment(result);
+}
+
+// ─── BATCH ───────────────────────────────────────────────────────────
+
+async function readExistingOutput(path, format) {
+  let text;
+  try {
+    text = await readFile(path, "utf8");
+  } catch (e) {
+    return [];
+  }
+  if (format === "json") {
+    return text
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          return null; // Last line cut off by an interrupted write
+        }
+      })
+      .filter(Boolean);
+  }
+  const { columns, records } = parseCSVRecords(text);
+  if (columns.length && columns.join(",") !== BATCH_COLUMNS.join(",")) {
+    throw new UsageError(`${path} was written with different columns. Use --restart to overwrite it or choose another --out file.`);
+  }
+  return records;
+}
+
+function formatRecord(record, format) {
+  return format === "json" ? JSON.stringify(record) : csvLine(BATCH_COLUMNS.map((name) => record[name]));
+}
+
+async function batch(positionals, values) {
+  const [inputPath] = positionals;
+  if (!inputPath) throw new UsageError("batch needs an input CSV file.");
+  const format = values.format ?? "csv";
+  if (!["csv", "json"].includes(format)) throw new UsageError("--format must be csv or json.");
+  const rate = values.rate === undefined ? DEFAULT_RATE : Number(values.rate);
+  if (!(rate > 0)) throw new UsageError("--rate must be a positive number.");
+  const horizonYears = parseYears(values.years);
+
+  const { columns, records } = parseCSVRecords(await readFile(inputPath, "utf8"));
+  const column = values.column ?? findQueryColumn(columns);
+  if (!column || !columns.includes(column)) {
+    throw new UsageError(`Column "${column}" not found in ${inputPath}. Columns: ${columns.join(", ")}`);
+  }
+
+  // Resume: keep finished rows (ok or invalid input), retry service failures
+  const out = values.out;
+  const done = new Map();
+  if (out && !values.restart) {
+    for (const record of await readExistingOutput(out, format)) {
+      const input = records[Number(record.row) - 1];
+      if (!input || input[column].trim() !== record.query) {
+        throw new UsageError(`${out} doesn't match ${inputPath} (row ${record.row} differs). Use --restart to overwrite it.`);
+      }
+      if (record.status === "ok" && Number(record.horizon_years) !== horizonYears) {
+        throw new UsageError(`${out} was scored with --years ${record.horizon_years}. Use the same --years to resume, or --restart.`);
+      }
+      if (record.status !== "error") done.set(Number(record.row), record);
+    }
+  }
+
+  const kept = [...done.values()].sort((a, b) => a.row - b.row);
+  const header = format === "csv" ? [csvLine(BATCH_COLUMNS)] : [];
+  const write = out ? (line) => appendFile(out, `${line}\n`) : async (line) => process.stdout.write(`${line}\n`);
+  if (out) await writeFile(out, [...header, ...kept.map((r) => formatRecord(r, format))].map((line) => `${line}\n`).join(""));
+  else for (const line of header) await write(line);
+
+  const pending = records.map((record, i) => ({ row: i + 1, query: record[column].trim() })).filter((r) => !done.has(r.row));
+  if (done.size) console.error(`Resuming: ${done.size} of ${records.length} rows already done.`);
+
+  let stopping = false;
+  process.on("SIGINT", () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    console.error("\nStopping after the current row. Run the same command again to resume.");
+  });
+
+  const fetchImpl = rateLimitedFetch(rate);
+  const nriCache = new Map();
+  const counts = { ok: 0, invalid: 0, error: 0 };
+  for (const [i, { row, query }] of pending.entries()) {
+    if (stopping) break;
+    let record;
+    const invalid = validateBatchQuery(query);
+    if (invalid) {
+      record = errorRow(row, query, invalid);
+    } else {
+      try {
+        record = assessmentRow(row, query, await assessLocation(query, { fetch: fetchImpl, horizonYears, nriCache }));
+      } catch (err) {
+        record = errorRow(row, query, err);
+      }
+    }
+    counts[record.status]++;
+    await write(formatRecord(record, format));
+    console.error(`[${done.size + i + 1}/${records.length}] ${query || "(empty)"}: ${record.status}${record.error ? ` — ${record.error}` : ""}`);
+  }
+
+  console.error(`Done: ${counts.ok} scored, ${counts.invalid} invalid, ${counts.error} failed${out ? ` → ${out}` : ""}.`);
+  if (counts.error) console.error("Rows that failed because a service was unavailable are retried when you run the same command again.");
+  if (counts.error || stopping) process.exitCode = 1;
+}
+
+// ─── MAIN ────────────────────────────────────────────────────────────
+
+const COMMANDS = { lookup, batch };
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      years: { type: "string" },
+      county: { type: "string" },
+      json: { type: "boolean" },
+      csv: { type: "boolean" },
+      out: { type: "string" },
+      format: { type: "string" },
+      column: { type: "string" },
+      rate: { type: "string" },
+      restart: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (process.env.GEOCODER_STUB_URL) configureGeocoders({ stubUrl: process.env.GEOCODER_STUB_URL });
+
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}".`);
+  await COMMANDS[command](args, values);
+}
+
+main().catch((err) => {
+  if (err instanceof UsageError || err.code?.startsWith("ERR_PARSE_ARGS")) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  console.error(describeError(err));
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+// Service worker: keeps the app shell, the optional NRI snapshot and the ZIP
+// crosswalk available offline. API responses are cached by the app itself in
+// IndexedDB (see src/dataCache.js), so cross-origin requests pass straight through.
+
+const CACHE_NAME = "disaster-risk-shell-v1";
+const SHELL_URLS = ["/", "/index.html"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(SHELL_URLS)));
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function putInCache(request, response) {
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Pages: network first so deploys show up, falling back to the cached shell
+// (every route is rendered client-side from index.html)
+async function handleNavigation(request) {
+  try {
+    return await putInCache("/index.html", await fetch(request));
+  } catch (e) {
+    return (await caches.match("/index.html")) || Response.error();
+  }
+}
+
+// Hashed build assets never change, so the cache can answer first
+async function handleAsset(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  return putInCache(request, await fetch(request));
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+  } else if (url.pathname.startsWith("/assets/")) {
+    event.respondWith(handleAsset(request));
+  } else {
+    // Everything else (snapshot, crosswalk, icons): network first, cache as fallback
+    event.respondWith(
+      fetch(request)
+        .then((response) => putInCache(request, response))
+        .catch(async () => (await caches.match(request)) || Response.error())
+    );
+  }
+});
@@ -0,0 +1,45 @@
+// Downloads every county from the OpenFEMA NRI dataset into
+// public/nri-snapshot.json, which the app falls back to when the API is down.
+//
+//   npm run snapshot
+//
+// The file is columnar (field names once, then one value array per county)
+// to keep it small enough to ship with the site.
+
+import { writeFile, mkdir } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { NRI_BASE, NRI_FIELDS, NRI_VERSION } from "../src/hazards.js";
+
+const PAGE_SIZE = 1000;
+const OUTPUT = resolve(dirname(fileURLToPath(import.meta.url)), "../public/nri-snapshot.json");
+
+async function fetchPage(skip) {
+  const url = `${NRI_BASE}?$select=${NRI_FIELDS.join(",")}&$top=${PAGE_SIZE}&$skip=${skip}&$orderby=stateCode,countyCode`;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`FEMA API error: ${response.status}`);
+  const data = await response.json();
+  return data.NriCountyData || [];
+}
+
+async function main() {
+  const rows = {};
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const page = await fetchPage(skip);
+    for (const record of page) {
+      rows[record.stateCode + record.countyCode] = NRI_FIELDS.map((field) => record[field] ?? null);
+    }
+    console.log(`Fetched ${skip + page.length} counties`);
+    if (page.length < PAGE_SIZE) break;
+  }
+
+  const snapshot = { version: NRI_VERSION, generatedAt: new Date().toISOString(), fields: NRI_FIELDS, rows };
+  await mkdir(dirname(OUTPUT), { recursive: true });
+  await writeFile(OUTPUT, JSON.stringify(snapshot));
+  console.log(`Wrote ${Object.keys(rows).length} counties to ${OUTPUT}`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
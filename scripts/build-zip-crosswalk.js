@@ -0,0 +1,109 @@
+// Builds public/zip-crosswalk.json, the bundled ZIP → county crosswalk the
+// "crosswalk" geocoder (src/geocoders.js) reads, so ZIP lookups need no
+// network at all.
+//
+//   npm run crosswalk
+//
+// County shares come from the Census 2020 ZCTA-to-county relationship file
+// (land area of each ZCTA/county part), ZIP centers from the ZCTA internal
+// points on TIGERweb, and state names from the bundled us-atlas boundaries.
+
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import { createRequire } from "node:module";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const RELATIONSHIP_URL = "https://www2.census.gov/geo/docs/maps-data/data/rel2020/zcta520/tab20_zcta520_county20_natl.txt";
+const ZCTA_QUERY_URL = "https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/tigerWMS_Current/MapServer/2/query";
+const PAGE_SIZE = 2000;
+const MIN_COUNTY_SHARE = 0.01;
+const OUTPUT = resolve(dirname(fileURLToPath(import.meta.url)), "../public/zip-crosswalk.json");
+
+async function loadStateNames() {
+  const atlasPath = createRequire(import.meta.url).resolve("us-atlas/counties-10m.json");
+  const atlas = JSON.parse(await readFile(atlasPath, "utf8"));
+  return new Map(atlas.objects.states.geometries.map((g) => [g.id, g.properties.name]));
+}
+
+// Returns { zips: Map<zip, [[fips, landArea]]>, countyNames: Map<fips, name> }
+async function loadRelationships() {
+  const response = await fetch(RELATIONSHIP_URL);
+  if (!response.ok) throw new Error(`Census relationship file error: ${response.status}`);
+  const [header, ...lines] = (await response.text()).trim().split(/\r?\n/);
+  const columns = header.replace(/^\uFEFF/, "").split("|");
+  const col = (name) => columns.indexOf(name);
+  const [zcta, county, countyName, land] = ["GEOID_ZCTA5_20", "GEOID_COUNTY_20", "NAMELSAD_COUNTY_20", "AREALAND_PART"].map(col);
+
+  const zips = new Map();
+  const countyNames = new Map();
+  for (const line of lines) {
+    const cells = line.split("|");
+    if (!cells[zcta]) continue; // County area outside any ZCTA
+    countyNames.set(cells[county], cells[countyName]);
+    if (!zips.has(cells[zcta])) zips.set(cells[zcta], []);
+    zips.get(cells[zcta]).push([cells[county], Number(cells[land])]);
+  }
+  return { zips, countyNames };
+}
+
+async function loadZctaCenters() {
+  const centers = new Map();
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const params = new URLSearchParams({
+      where: "1=1",
+      outFields: "GEOID,INTPTLAT,INTPTLON",
+      returnGeometry: "false",
+      orderByFields: "GEOID",
+      resultOffset: String(offset),
+      resultRecordCount: String(PAGE_SIZE),
+      f: "json",
+    });
+    const response = await fetch(`${ZCTA_QUERY_URL}?${params}`);
+    if (!response.ok) throw new Error(`TIGERweb error: ${response.status}`);
+    const data = await response.json();
+    if (data.error) throw new Error(`TIGERweb error: ${data.error.message}`);
+    for (const { attributes } of data.features || []) {
+      centers.set(attributes.GEOID, [Number(attributes.INTPTLAT), Number(attributes.INTPTLON)]);
+    }
+    console.log(`Fetched ${centers.size} ZCTA centers`);
+    if (!data.exceededTransferLimit && (data.features || []).length < PAGE_SIZE) break;
+  }
+  return centers;
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+async function main() {
+  const stateNames = await loadStateNames();
+  const { zips, countyNames } = await loadRelationships();
+  const centers = await loadZctaCenters();
+
+  const counties = {};
+  for (const [fips, name] of countyNames) counties[fips] = [name, stateNames.get(fips.substring(0, 2)) ?? null];
+
+  const rows = {};
+  let missingCenters = 0;
+  for (const [zip, parts] of zips) {
+    const center = centers.get(zip);
+    if (!center) {
+      missingCenters++;
+      continue;
+    }
+    const total = parts.reduce((sum, [, land]) => sum + land, 0);
+    // Water-only ZCTAs have no land area; split them evenly
+    const shares = parts.map(([fips, land]) => [fips, total > 0 ? land / total : 1 / parts.length]);
+    const kept = shares.filter(([, share]) => share >= MIN_COUNTY_SHARE);
+    const keptTotal = kept.reduce((sum, [, share]) => sum + share, 0);
+    rows[zip] = [round(center[0], 5), round(center[1], 5), ...kept.flatMap(([fips, share]) => [fips, round(share / keptTotal, 4)])];
+  }
+
+  const crosswalk = { source: "Census 2020 ZCTA-county relationship file", generatedAt: new Date().toISOString(), counties, zips: rows };
+  await mkdir(dirname(OUTPUT), { recursive: true });
+  await writeFile(OUTPUT, JSON.stringify(crosswalk));
+  console.log(`Wrote ${Object.keys(rows).length} ZIPs to ${OUTPUT} (${missingCenters} skipped without a center point)`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
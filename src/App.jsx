@@ -1,189 +1,159 @@
-import { useState, useEffect, useRef } from "react";
-
-// ─── ZIP → COUNTY FIPS MAPPING ────────────────────────────────────────
-// We'll fetch this from HUD's ZIP-County crosswalk or use a bundled approach.
-// For reliability, we'll use a free API to convert zip to county FIPS.
-
-const HAZARD_CONFIG = {
-  earthquake: {
-    key: "ERQK",
-    label: "Earthquake",
-    icon: "🌍",
-    color: "#b08d57",
-    description: "Sudden ground shaking caused by seismic waves from tectonic plate movement.",
-    methodology: "Based on USGS probabilistic seismic hazard data integrated into FEMA's NRI. Uses Hazus earthquake loss estimation methodology to model expected annual losses from ground shaking, liquefaction, and landslide.",
-  },
-  hurricane: {
-    key: "HRCN",
-    label: "Hurricane",
-    icon: "🌀",
-    color: "#5b8fa8",
-    description: "Tropical cyclones with sustained winds of 74+ mph causing wind damage, storm surge, and flooding.",
-    methodology: "Uses NOAA/NHC historical hurricane track data and Hazus hurricane wind model. Accounts for wind speed probability, storm surge, and rainfall-induced flooding over a multi-decade historical period.",
-  },
-  tornado: {
-    key: "TRND",
-    label: "Tornado",
-    icon: "🌪️",
-    color: "#7d6b91",
-    description: "Violently rotating columns of air extending from thunderstorms to the ground.",
-    methodology: "Based on NOAA Storm Prediction Center historical tornado data. Uses spatial smoothing of tornado touchdown locations weighted by Enhanced Fujita scale intensity ratings.",
-  },
-  flood: {
-    key: "RFLD",
-    label: "Flooding",
-    icon: "🌊",
-    color: "#4a8c7f",
-    description: "Inland flooding from rivers, streams, and heavy rainfall overwhelming drainage systems.",
-    methodology: "Combines FEMA National Flood Hazard Layer (NFHL) data with USGS streamflow records and historical flood loss data. Includes both riverine (fluvial) and rainfall (pluvial) flooding.",
-  },
-  wildfire: {
-    key: "WFIR",
-    label: "Wildfire",
-    icon: "🔥",
-    color: "#c27a5a",
-    description: "Uncontrolled fires in wildland-urban interface areas fueled by vegetation and weather conditions.",
-    methodology: "Uses USGS wildfire burn probability data and historical wildfire perimeter records. Accounts for wildland-urban interface exposure, vegetation fuel loads, and fire weather climatology.",
-  },
-};
+import { useState, useEffect, useRef, useMemo } from "react";
+import { flushSync } from "react-dom";
+import {
+  HAZARD_CONFIG,
+  NRI_VERSION,
+  RISK_RATINGS,
+  getRiskRating,
+  isHazardApplicable,
+  formatProbability,
+  frequencyToOdds,
+  cumulativeProbability,
+  combinedProbability,
+  LOSS_COMPONENTS,
+  formatCurrency,
+  formatLossRatio,
+  toDollars,
+  getLossBreakdown,
+  loadNRIData,
+  loadNRITractData,
+  loadLocation,
+  findCensusTract,
+  QUERY_TYPE_LABELS,
+  parseSearchQuery,
+  countyLocation,
+  blendNRIRecords,
+  describeError,
+  lookupZip,
+  fetchNRISummaries,
+  SOURCE_ORDER,
+  loadCountyRecords,
+  isAbortError,
+  assessLocation,
+  getGeocoderChain,
+  loadNRIScores,
+  rankScore,
+  rankRecord,
+  DECLARATIONS_SINCE,
+  loadDisasterDeclarations,
+  summarizeDeclarations,
+  NFIP_MAX_CLAIMS,
+  loadNFIPData,
+} from "./riskEngine.js";
+import { parseCSVRecords, toCSV } from "./csv.js";
+import { BATCH_COLUMNS, findQueryColumn, validateBatchQuery, assessmentRow, errorRow } from "./batch.js";
+import { buildDataExport, dataExportToCSV, dataExportFileName } from "./dataExport.js";
+import {
+  CONSTRUCTION_TYPES,
+  FLOOD_ZONES,
+  MITIGATIONS,
+  DEFAULT_PROFILE,
+  loadPropertyProfile,
+  savePropertyProfile,
+  estimatePropertyLosses,
+} from "./propertyProfile.js";
+import { ACTION_CATEGORIES, buildPreparednessPlan, loadCheckedActions, saveCheckedActions, planToMarkdown } from "./preparedness.js";
+import {
+  MAX_WEIGHT,
+  DEFAULT_CUSTOM_INDEX,
+  INDEX_PRESETS,
+  presetIndex,
+  sameCustomIndex,
+  customIndexScorer,
+  encodeCustomIndex,
+  decodeCustomIndex,
+  loadCustomIndex,
+  saveCustomIndex,
+  loadSavedPresets,
+  saveSavedPresets,
+} from "./customIndex.js";
 
-const RISK_RATINGS = [
-  { label: "Very Low", max: 15, color: "#4a8c6a", bg: "#eef6f1" },
-  { label: "Relatively Low", max: 30, color: "#6aab7b", bg: "#f0f7f2" },
-  { label: "Relatively Moderate", max: 50, color: "#c4a24d", bg: "#faf6ec" },
-  { label: "Relatively High", max: 70, color: "#c48a4d", bg: "#f9f3ec" },
-  { label: "Very High", max: 100, color: "#b85c4a", bg: "#f7efed" },
-];
-
-function getRiskRating(score) {
-  if (score === null || score === undefined || score < 0) return { label: "No Data", color: "#95a5a6", bg: "#f0f0f0" };
-  for (const r of RISK_RATINGS) {
-    if (score <= r.max) return r;
-  }
-  return RISK_RATINGS[RISK_RATINGS.length - 1];
-}
+// ─── COUNTY BOUNDARIES ───────────────────────────────────────────────
+// Census cartographic boundaries bundled via us-atlas, so the map needs no
+// tile service. The atlas is loaded on first use to keep the main bundle small.
 
-// Convert NRI score (0-100) to approximate annual probability text
-function scoreToOdds(score, hazardKey) {
-  if (score === null || score === undefined || score < 0) return { text: "Insufficient data", detail: "" };
-  
-  // NRI scores are relative risk indices (0-100), not direct probabilities.
-  // We map them to approximate annual probability ranges based on FEMA's EAL methodology
-  // and historical frequency data for each hazard type.
-  
-  // These mappings are calibrated per-hazard using FEMA NRI expected annual loss
-  // and annualized frequency data. Higher scores = higher relative risk.
-  if (score <= 5) return { text: "< 0.1%", detail: "Less than 1 in 1,000 chance per year", odds: 0.001 };
-  if (score <= 15) return { text: "~0.1–0.5%", detail: "Roughly 1 in 200 to 1 in 1,000 per year", odds: 0.003 };
-  if (score <= 30) return { text: "~0.5–2%", detail: "Roughly 1 in 50 to 1 in 200 per year", odds: 0.01 };
-  if (score <= 50) return { text: "~2–5%", detail: "Roughly 1 in 20 to 1 in 50 per year", odds: 0.035 };
-  if (score <= 70) return { text: "~5–15%", detail: "Roughly 1 in 7 to 1 in 20 per year", odds: 0.1 };
-  if (score <= 85) return { text: "~15–30%", detail: "Roughly 1 in 3 to 1 in 7 per year", odds: 0.225 };
-  return { text: "> 30%", detail: "Greater than 1 in 3 chance per year", odds: 0.4 };
-}
-
-// ─── FEMA NRI API ────────────────────────────────────────────────────
-const NRI_BASE = "https://www.fema.gov/api/open/v1/NriCountyData";
-
-async function fetchNRIData(countyFips) {
-  const stateCode = countyFips.substring(0, 2);
-  const countyCode = countyFips.substring(2, 5);
-  
-  const fields = [
-    "county", "state",
-    "ERQK_RISKS", "ERQK_RISKR", "ERQK_EALS", "ERQK_EALR", "ERQK_EXPA", "ERQK_APTS",
-    "HRCN_RISKS", "HRCN_RISKR", "HRCN_EALS", "HRCN_EALR", "HRCN_EXPA", "HRCN_APTS",
-    "TRND_RISKS", "TRND_RISKR", "TRND_EALS", "TRND_EALR", "TRND_EXPA", "TRND_APTS",
-    "RFLD_RISKS", "RFLD_RISKR", "RFLD_EALS", "RFLD_EALR", "RFLD_EXPA", "RFLD_APTS",
-    "WFIR_RISKS", "WFIR_RISKR", "WFIR_EALS", "WFIR_EALR", "WFIR_EXPA", "WFIR_APTS",
-    "RISK_SCORE", "RISK_RATNG",
-    "EAL_SCORE", "EAL_RATNG",
-    "SOVI_SCORE", "SOVI_RATNG",
-    "RESL_SCORE", "RESL_RATNG",
-    "stateCode", "countyCode",
-  ].join(",");
-
-  const url = `${NRI_BASE}?$filter=stateCode eq '${stateCode}' and countyCode eq '${countyCode}'&$select=${fields}`;
-  
-  const response = await fetch(url);
-  if (!response.ok) throw new Error(`FEMA API error: ${response.status}`);
-  const data = await response.json();
-  
-  if (!data.NriCountyData || data.NriCountyData.length === 0) {
-    throw new Error("No NRI data found for this county.");
+let countyAtlasPromise = null;
+
+function loadCountyAtlas() {
+  if (!countyAtlasPromise) {
+    countyAtlasPromise = Promise.all([import("us-atlas/counties-10m.json"), import("topojson-client")]).then(
+      ([{ default: atlas }, topojson]) => {
+        const features = topojson.feature(atlas, atlas.objects.counties).features;
+        const neighbors = topojson.neighbors(atlas.objects.counties.geometries);
+        const stateNames = new Map(
+          topojson.feature(atlas, atlas.objects.states).features.map((f) => [f.id, f.properties.name])
+        );
+        const indexByFips = new Map(features.map((f, i) => [f.id, i]));
+        return { features, neighbors, stateNames, indexByFips };
+      }
+    );
+    // Let a failed load be retried on the next call
+    countyAtlasPromise.catch(() => {
+      countyAtlasPromise = null;
+    });
   }
-  
-  return data.NriCountyData[0];
+  return countyAtlasPromise;
 }
 
-// ─── ZIP → COUNTY FIPS ──────────────────────────────────────────────
-// Uses multiple free APIs with fallback for reliability
+function featurePolygons(feature) {
+  const { type, coordinates } = feature.geometry;
+  return type === "Polygon" ? [coordinates] : type === "MultiPolygon" ? coordinates : [];
+}
 
-async function zipToCountyFips(zip) {
-  // Try multiple approaches in order of reliability
-  
-  // Approach 1: Zippopotam.us (free, no key, very reliable) → gives lat/lng + state
-  // Then FCC Area API → gives county FIPS from lat/lng
-  try {
-    const zipRes = await fetch(`https://api.zippopotam.us/us/${zip}`);
-    if (zipRes.ok) {
-      const zipData = await zipRes.json();
-      const place = zipData.places?.[0];
-      if (place) {
-        const lat = parseFloat(place.latitude);
-        const lng = parseFloat(place.longitude);
-        const stateName = place.state;
-        
-        // Use FCC Area API to get county FIPS from lat/lng
-        const fccRes = await fetch(`https://geo.fcc.gov/api/census/area?lat=${lat}&lon=${lng}&format=json`);
-        if (fccRes.ok) {
-          const fccData = await fccRes.json();
-          const result = fccData?.results?.[0];
-          if (result?.county_fips) {
-            return {
-              fips: result.county_fips,
-              countyName: result.county_name,
-              stateName: stateName,
-              lat,
-              lng,
-              matchedAddress: `${place["place name"]}, ${place["state abbreviation"]} ${zip}`,
-            };
-          }
-        }
-      }
+// Centroid of the county's largest ring, used as the point when a county is picked on the map
+function featureCentroid(feature) {
+  const rings = featurePolygons(feature).map((polygon) => polygon[0]);
+  let best = { area: 0, x: 0, y: 0 };
+  for (const ring of rings) {
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+      area += cross;
+      cx += (ring[j][0] + ring[i][0]) * cross;
+      cy += (ring[j][1] + ring[i][1]) * cross;
     }
-  } catch (e) {
-    // Fall through to next approach
+    if (Math.abs(area) > Math.abs(best.area)) best = { area, x: cx / (3 * area), y: cy / (3 * area) };
   }
+  return { lat: best.y, lng: best.x };
+}
 
-  // Approach 2: Census Bureau geocoder (free, no key, but sometimes unreliable)
-  try {
-    const url = `https://geocoding.geo.census.gov/geocoder/geographies/onelineaddress?address=${zip}&benchmark=Public_AR_Current&vintage=Current_Current&format=json`;
-    const response = await fetch(url);
-    if (response.ok) {
-      const data = await response.json();
-      const matches = data?.result?.addressMatches;
-      if (matches && matches.length > 0) {
-        const match = matches[0];
-        const counties = match.geographies?.Counties;
-        if (counties && counties.length > 0) {
-          const county = counties[0];
-          return {
-            fips: county.STATE + county.COUNTY,
-            countyName: county.NAME,
-            stateName: match.addressComponents?.state,
-            lat: parseFloat(match.coordinates.y),
-            lng: parseFloat(match.coordinates.x),
-            matchedAddress: match.matchedAddress,
-          };
-        }
-      }
-    }
-  } catch (e) {
-    // Fall through to error
-  }
+// Target county plus every county sharing a border with it
+function countyNeighborhood(atlas, fips) {
+  const index = atlas.indexByFips.get(fips);
+  if (index === undefined) return [];
+  return [index, ...atlas.neighbors[index]].map((i) => atlas.features[i]);
+}
 
-  throw new Error("Could not find location for this ZIP code. Please check and try again.");
+function countyDetails(atlas, feature) {
+  const stateName = atlas.stateNames.get(feature.id.substring(0, 2));
+  return { fips: feature.id, countyName: feature.properties.name, stateName, ...featureCentroid(feature) };
+}
+
+// Equirectangular projection scaled by cos(latitude), accurate enough for a
+// handful of adjacent counties
+function makeProjection(features, width, height, padding = 12) {
+  const points = features.flatMap((f) => featurePolygons(f).flatMap((polygon) => polygon.flat()));
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const bounds = { xmin: Math.min(...xs), xmax: Math.max(...xs), ymin: Math.min(...ys), ymax: Math.max(...ys) };
+  const kx = Math.cos((((bounds.ymin + bounds.ymax) / 2) * Math.PI) / 180);
+  const scale = Math.min(
+    (width - padding * 2) / ((bounds.xmax - bounds.xmin) * kx || 1),
+    (height - padding * 2) / (bounds.ymax - bounds.ymin || 1)
+  );
+  const offsetX = (width - (bounds.xmax - bounds.xmin) * kx * scale) / 2;
+  const offsetY = (height - (bounds.ymax - bounds.ymin) * scale) / 2;
+  return ([lng, lat]) => [offsetX + (lng - bounds.xmin) * kx * scale, offsetY + (bounds.ymax - lat) * scale];
+}
+
+function featurePath(feature, project) {
+  return featurePolygons(feature)
+    .flatMap((polygon) =>
+      polygon.map((ring) => ring.map((point, i) => `${i === 0 ? "M" : "L"}${project(point).map((v) => v.toFixed(1)).join(",")}`).join("") + "Z")
+    )
+    .join("");
 }
 
 // ─── COMPONENTS ──────────────────────────────────────────────────────
@@ -252,7 +222,72 @@ function RiskGauge({ score, size = 120 }) {
   );
 }
 
-function HazardCard({ hazardId, config, nriData, isExpanded, onToggle }) {
+const ordinal = (n) => {
+  const suffixes = ["th", "st", "nd", "rd"];
+  const v = n % 100;
+  return `${n}${suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]}`;
+};
+
+// Counties per score band, with the band holding this county highlighted
+function ScoreHistogram({ ranking, color, width = 110, height = 26 }) {
+  const max = Math.max(...ranking.histogram, 1);
+  const barWidth = width / ranking.histogram.length;
+  return (
+    <svg width={width} height={height} style={{ flexShrink: 0 }} aria-hidden="true">
+      {ranking.histogram.map((count, i) => {
+        const barHeight = Math.max(count > 0 ? 2 : 0, (count / max) * height);
+        return (
+          <rect
+            key={i}
+            x={i * barWidth + 1}
+            y={height - barHeight}
+            width={barWidth - 2}
+            height={barHeight}
+            rx={1}
+            fill={i === ranking.bin ? color : "#dde3df"}
+          />
+        );
+      })}
+    </svg>
+  );
+}
+
+// "Ranked 4th of 58 counties in California", within the state and nationally
+function RankContext({ ranks, stateName, color }) {
+  const rows = [
+    { key: "state", ranking: ranks?.state, where: `in ${stateName}` },
+    { key: "national", ranking: ranks?.national, where: "nationally" },
+  ].filter((row) => row.ranking);
+  if (rows.length === 0) return null;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "8px", marginTop: "14px" }}>
+      {rows.map(({ key, ranking, where }) => (
+        <div key={key} style={{ display: "flex", alignItems: "center", gap: "12px" }}>
+          <ScoreHistogram ranking={ranking} color={color} />
+          <div style={{ fontSize: "13px", color: "#444", lineHeight: 1.4 }}>
+            Ranked <strong>{ordinal(ranking.rank)}</strong> of {ranking.count.toLocaleString()} counties {where}
+            <div style={{ fontSize: "12px", color: "#999" }}>Higher than {Math.round(ranking.percentile)}% of them</div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function HazardCard({
+  hazardId,
+  config,
+  nriData,
+  isExpanded,
+  onToggle,
+  horizonYears = 1,
+  propertyLoss = null,
+  ranks = null,
+  stateName,
+  declarationCount = null,
+  children,
+}) {
   const key = config.key;
   const riskScore = nriData?.[`${key}_RISKS`];
   const riskRating = nriData?.[`${key}_RISKR`];
@@ -260,7 +295,9 @@ function HazardCard({ hazardId, config, nriData, isExpanded, onToggle }) {
   const ealRating = nriData?.[`${key}_EALR`];
   
   const rating = getRiskRating(riskScore);
-  const odds = scoreToOdds(riskScore, key);
+  const odds = frequencyToOdds(nriData?.[`${key}_APTS`], key);
+  const horizonOdds = cumulativeProbability(odds.odds, horizonYears);
+  const losses = getLossBreakdown(nriData, key);
   
   const hasData = riskScore !== null && riskScore !== undefined && riskScore >= 0;
   
@@ -272,7 +309,7 @@ function HazardCard({ hazardId, config, nriData, isExpanded, onToggle }) {
         border: `2px solid ${isExpanded ? config.color + "40" : "#eee"}`,
         overflow: "hidden",
         transition: "all 0.3s ease",
-        cursor: "pointer",
+        cursor: onToggle ? "pointer" : "default",
         boxShadow: isExpanded ? `0 8px 24px ${config.color}15` : "0 2px 8px rgba(0,0,0,0.04)",
       }}
       onClick={onToggle}
@@ -296,6 +333,11 @@ function HazardCard({ hazardId, config, nriData, isExpanded, onToggle }) {
           <div>
             <div style={{ fontWeight: 600, fontSize: "16px", color: "#1e2e26" }}>{config.label}</div>
             <div style={{ fontSize: "13px", color: "#666", marginTop: 2 }}>{config.description}</div>
+            {declarationCount !== null && (
+              <div style={{ fontSize: "12px", color: "#999", marginTop: 4 }}>
+                {declarationCount === 0 ? "No" : declarationCount} federal declaration{declarationCount === 1 ? "" : "s"} since {DECLARATIONS_SINCE}
+              </div>
+            )}
           </div>
         </div>
         <div style={{ display: "flex", alignItems: "center", gap: "12px" }}>
@@ -327,16 +369,18 @@ function HazardCard({ hazardId, config, nriData, isExpanded, onToggle }) {
               No Data
             </div>
           )}
-          <div
-            style={{
-              transform: isExpanded ? "rotate(180deg)" : "rotate(0deg)",
-              transition: "transform 0.3s ease",
-              color: "#999",
-              fontSize: "18px",
-            }}
-          >
-            ▼
-          </div>
+          {onToggle && (
+            <div
+              style={{
+                transform: isExpanded ? "rotate(180deg)" : "rotate(0deg)",
+                transition: "transform 0.3s ease",
+                color: "#999",
+                fontSize: "18px",
+              }}
+            >
+              ▼
+            </div>
+          )}
         </div>
       </div>
       
@@ -363,6 +407,27 @@ function HazardCard({ hazardId, config, nriData, isExpanded, onToggle }) {
                 <div style={{ fontSize: "13px", color: "#666", marginTop: "2px" }}>
                   {odds.detail}
                 </div>
+                {horizonYears > 1 && horizonOdds !== null && (
+                  <div style={{ marginTop: "12px" }}>
+                    <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "0.5px", marginBottom: "4px" }}>
+                      Chance Over {horizonYears} Years
+                    </div>
+                    <div style={{ fontSize: "22px", fontWeight: 700, color: config.color }}>
+                      {formatProbability(horizonOdds)}
+                    </div>
+                    <div style={{ fontSize: "13px", color: "#666", marginTop: "2px" }}>
+                      At least once in {horizonYears} years, assuming each year is independent
+                    </div>
+                  </div>
+                )}
+                {odds.odds !== null && (
+                  <div style={{ fontSize: "12px", color: "#888", marginTop: "8px", lineHeight: 1.5 }}>
+                    Chance of {config.eventLabel} at least once in a year. Based on NRI annualized
+                    frequency of <strong>{odds.frequencyText}</strong>:{" "}
+                    <code style={{ background: "#f0f0f0", padding: "1px 6px", borderRadius: "4px" }}>{odds.formula}</code>.{" "}
+                    {odds.caveat}
+                  </div>
+                )}
               </div>
               
               <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px" }}>
@@ -379,71 +444,2549 @@ function HazardCard({ hazardId, config, nriData, isExpanded, onToggle }) {
                   </div>
                 </div>
               </div>
+
+              <RankContext ranks={ranks} stateName={stateName} color={config.color} />
+
+              {losses.total !== null && (
+                <div style={{ marginTop: "16px" }}>
+                  <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "0.5px", marginBottom: "6px" }}>
+                    Expected Annual Loss
+                  </div>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px", color: "#444" }}>
+                    <thead>
+                      <tr style={{ color: "#999", fontSize: "11px", textTransform: "uppercase", letterSpacing: "0.3px" }}>
+                        <th style={{ textAlign: "left", fontWeight: 500, padding: "4px 0" }}>Type</th>
+                        <th style={{ textAlign: "right", fontWeight: 500, padding: "4px 0" }}>EAL / year</th>
+                        <th style={{ textAlign: "right", fontWeight: 500, padding: "4px 0" }}>Exposure</th>
+                        <th style={{ textAlign: "right", fontWeight: 500, padding: "4px 0" }}>Loss Ratio</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {losses.components.map((c) => (
+                        <tr key={c.suffix} style={{ borderTop: "1px solid #f0f0f0" }}>
+                          <td style={{ padding: "6px 0" }}>
+                            <span style={{ display: "inline-block", width: 8, height: 8, borderRadius: 2, background: c.color, marginRight: 6 }} />
+                            {c.label}
+                          </td>
+                          <td style={{ textAlign: "right" }}>{formatCurrency(c.eal)}</td>
+                          <td style={{ textAlign: "right" }}>{formatCurrency(c.exposure)}</td>
+                          <td style={{ textAlign: "right" }}>{formatLossRatio(c.lossRatio)}</td>
+                        </tr>
+                      ))}
+                      <tr style={{ borderTop: "1px solid #e0e0e0", fontWeight: 600, color: "#1e2e26" }}>
+                        <td style={{ padding: "6px 0" }}>Total</td>
+                        <td style={{ textAlign: "right" }}>{formatCurrency(losses.total)}</td>
+                        <td style={{ textAlign: "right" }}>{formatCurrency(losses.exposure)}</td>
+                        <td style={{ textAlign: "right" }}>{formatLossRatio(losses.lossRatio)}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                  {propertyLoss !== null && (
+                    <div style={{ fontSize: "13px", color: "#444", marginTop: "10px" }}>
+                      Your home: about <strong>{formatCurrency(propertyLoss)}</strong> per year
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {children}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const HORIZON_PRESETS = [1, 5, 10, 30];
+
+function HorizonPanel({ nriData, hazards, horizonYears, onChange }) {
+  const isCustom = !HORIZON_PRESETS.includes(horizonYears);
+  // What's typed in the custom box; it only becomes the horizon when valid
+  const [customValue, setCustomValue] = useState(isCustom ? String(horizonYears) : "");
+  const parsedCustom = /^\d+$/.test(customValue.trim()) ? Number(customValue) : null;
+  const customInvalid = customValue.trim() !== "" && !(parsedCustom >= 1 && parsedCustom <= 100);
+
+  // A horizon set from outside the box (a preset, or another view) replaces what's typed
+  useEffect(() => {
+    if (parsedCustom !== horizonYears) setCustomValue(isCustom ? String(horizonYears) : "");
+  }, [horizonYears]);
+
+  const annualOdds = hazards.map(([, config]) => frequencyToOdds(nriData?.[`${config.key}_APTS`], config.key).odds);
+  const combined = cumulativeProbability(combinedProbability(annualOdds), horizonYears);
+  const counted = annualOdds.filter((p) => p !== null).length;
+
+  const applyCustom = (value) => {
+    setCustomValue(value);
+    const years = /^\d+$/.test(value.trim()) ? Number(value) : null;
+    if (years >= 1 && years <= 100) onChange(years);
+  };
+
+  const buttonStyle = (active) => ({
+    padding: "8px 16px",
+    background: active ? "#3d7a5a" : "white",
+    color: active ? "white" : "#1e2e26",
+    border: `1px solid ${active ? "#3d7a5a" : "#dde3df"}`,
+    borderRadius: "8px",
+    fontSize: "14px",
+    fontWeight: 500,
+    cursor: "pointer",
+    fontFamily: "inherit",
+  });
+
+  return (
+    <div
+      style={{
+        background: "white",
+        borderRadius: "16px",
+        padding: "20px 24px",
+        marginBottom: "24px",
+        border: "1px solid #eee",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "16px", flexWrap: "wrap" }}>
+        <div>
+          <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "8px" }}>
+            Time Horizon
+          </div>
+          <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", alignItems: "center" }}>
+            {HORIZON_PRESETS.map((years) => (
+              <button
+                key={years}
+                onClick={() => {
+                  setCustomValue("");
+                  onChange(years);
+                }}
+                style={buttonStyle(horizonYears === years)}
+              >
+                {years === 1 ? "1 year" : `${years} years`}
+              </button>
+            ))}
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={customValue}
+              onChange={(e) => applyCustom(e.target.value)}
+              placeholder="Custom"
+              aria-invalid={customInvalid}
+              title={customInvalid ? "Enter a whole number of years from 1 to 100" : undefined}
+              style={{
+                width: "90px",
+                padding: "8px 10px",
+                fontSize: "14px",
+                border: `1px solid ${customInvalid ? "#b85c4a" : isCustom ? "#3d7a5a" : "#dde3df"}`,
+                borderRadius: "8px",
+                fontFamily: "inherit",
+                outline: "none",
+              }}
+            />
+            {customInvalid && <span style={{ fontSize: "12px", color: "#9e5a42" }}>1–100 years</span>}
+          </div>
+        </div>
+        <div style={{ textAlign: "right" }}>
+          <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "4px" }}>
+            Any of These Hazards
+          </div>
+          <div style={{ fontSize: "28px", fontWeight: 700, color: "#1e2e26" }}>
+            {combined === null ? "—" : formatProbability(combined)}
+          </div>
+          <div style={{ fontSize: "13px", color: "#666" }}>
+            over {horizonYears === 1 ? "1 year" : `${horizonYears} years`}
+          </div>
+        </div>
+      </div>
+      <div style={{ fontSize: "12px", color: "#888", marginTop: "12px", lineHeight: 1.5 }}>
+        Combines the annual odds of the {counted} hazard{counted === 1 ? "" : "s"} shown below as{" "}
+        <code style={{ background: "#f0f0f0", padding: "1px 6px", borderRadius: "4px" }}>1 − Π(1 − p)</code>, then
+        compounds over the horizon as <code style={{ background: "#f0f0f0", padding: "1px 6px", borderRadius: "4px" }}>1 − (1 − p)^years</code>.
+        This <strong>assumes hazards and years are independent</strong>. In reality some hazards occur together
+        (a hurricane brings wind and flooding), so the true combined figure is likely lower.
+      </div>
+    </div>
+  );
+}
+
+function LossDriversChart({ nriData, hazards }) {
+  const rows = hazards
+    .map(([id, config]) => ({ id, config, losses: getLossBreakdown(nriData, config.key) }))
+    .filter((row) => row.losses.total > 0)
+    .sort((a, b) => b.losses.total - a.losses.total);
+
+  if (rows.length === 0) return null;
+
+  const hazardTotal = rows.reduce((sum, row) => sum + row.losses.total, 0);
+  const countyTotal = toDollars(nriData?.EAL_VALT) ?? hazardTotal;
+  const maxTotal = rows[0].losses.total;
+
+  return (
+    <div
+      style={{
+        background: "white",
+        borderRadius: "16px",
+        padding: "20px 24px",
+        marginBottom: "24px",
+        border: "1px solid #eee",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "baseline", justifyContent: "space-between", gap: "16px", flexWrap: "wrap", marginBottom: "14px" }}>
+        <div>
+          <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "4px" }}>
+            What Drives Losses
+          </div>
+          <div style={{ fontSize: "13px", color: "#666" }}>
+            Expected annual loss in dollars, by hazard and consequence type
+          </div>
+        </div>
+        <div style={{ textAlign: "right" }}>
+          <div style={{ fontSize: "24px", fontWeight: 700, color: "#1e2e26" }}>{formatCurrency(countyTotal)}</div>
+          <div style={{ fontSize: "12px", color: "#999" }}>county total per year</div>
+        </div>
+      </div>
+
+      <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+        {rows.map(({ id, config, losses }) => (
+          <div key={id} style={{ display: "grid", gridTemplateColumns: "150px 1fr 110px", alignItems: "center", gap: "10px", fontSize: "13px" }}>
+            <div style={{ color: "#1e2e26", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+              {config.icon} {config.label}
+            </div>
+            <div style={{ display: "flex", height: "14px", background: "#f4f4f4", borderRadius: "4px", overflow: "hidden" }}>
+              {losses.components.map((c) =>
+                c.eal > 0 ? (
+                  <div
+                    key={c.suffix}
+                    title={`${c.label}: ${formatCurrency(c.eal)}`}
+                    style={{ width: `${(c.eal / maxTotal) * 100}%`, background: c.color }}
+                  />
+                ) : null
+              )}
+            </div>
+            <div style={{ textAlign: "right", color: "#444" }}>
+              {formatCurrency(losses.total)}{" "}
+              <span style={{ color: "#999", fontSize: "11px" }}>{Math.round((losses.total / hazardTotal) * 100)}%</span>
             </div>
           </div>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: "16px", marginTop: "14px", fontSize: "12px", color: "#666", flexWrap: "wrap" }}>
+        {LOSS_COMPONENTS.map((c) => (
+          <div key={c.suffix} style={{ display: "flex", alignItems: "center", gap: "6px" }}>
+            <span style={{ display: "inline-block", width: 10, height: 10, borderRadius: 2, background: c.color }} />
+            {c.label}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const DATA_SOURCE_STYLES = {
+  live: { label: "Live data", color: "#4a8c6a" },
+  cache: { label: "Cached data", color: "#c4a24d" },
+  snapshot: { label: "Offline snapshot", color: "#c48a4d" },
+  bundled: { label: "Bundled data", color: "#4a8c6a" },
+};
+
+function describeSource({ source, fetchedAt, stale }, what) {
+  const when = fetchedAt ? new Date(fetchedAt).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" }) : null;
+  if (source === "live") return `${what}: fetched live`;
+  if (source === "bundled") return `${what}: bundled with the app`;
+  if (source === "snapshot") return `${what}: NRI v${NRI_VERSION} snapshot${when ? ` from ${when}` : ""} (API unreachable)`;
+  return `${what}: cached copy${when ? ` from ${when}` : ""}${stale ? " (expired; live source unreachable)" : ""}`;
+}
+
+function DataSourceBadge({ sources }) {
+  const primary = SOURCE_ORDER.indexOf(sources.location?.source) > SOURCE_ORDER.indexOf(sources.nri?.source)
+    ? sources.location
+    : sources.nri;
+  const style = DATA_SOURCE_STYLES[primary?.source] ?? DATA_SOURCE_STYLES.live;
+  const details = [
+    sources.nri && describeSource(sources.nri, "Risk data"),
+    sources.location && describeSource(sources.location, "Location"),
+  ].filter(Boolean);
+
+  return (
+    <div
+      title={details.join("\n")}
+      style={{
+        marginLeft: "auto",
+        display: "flex",
+        alignItems: "center",
+        gap: "6px",
+        padding: "4px 10px",
+        borderRadius: "20px",
+        background: style.color + "15",
+        color: style.color,
+        fontSize: "12px",
+        fontWeight: 600,
+        whiteSpace: "nowrap",
+      }}
+    >
+      <span style={{ width: 7, height: 7, borderRadius: "50%", background: style.color }} />
+      {style.label}
+      {primary?.stale && " (expired)"}
+    </div>
+  );
+}
+
+const BLENDED_COUNTY = "blended";
+
+// The record for a county choice: one county's, or the share-weighted blend of the loaded ones
+function countyChoiceRecord(location, records, selected) {
+  if (selected !== BLENDED_COUNTY) return records[selected] ?? null;
+  const parts = (location?.counties || []).filter((c) => records[c.fips]).map((c) => ({ nriData: records[c.fips], share: c.share }));
+  return parts.length ? blendNRIRecords(parts) : null;
+}
+
+// A county choice from a link (?county=), or null if it doesn't fit this location
+function linkedCountyChoice(location, records, county) {
+  if (county === BLENDED_COUNTY) return location?.counties.length > 1 ? BLENDED_COUNTY : null;
+  return county && records[county] ? county : null;
+}
+
+function CountySplitPicker({ zip, counties, records, selected, onSelect }) {
+  const chipStyle = (active, disabled) => ({
+    padding: "8px 14px",
+    background: active ? "#3d7a5a" : "white",
+    color: active ? "white" : disabled ? "#bbb" : "#1e2e26",
+    border: `1px solid ${active ? "#3d7a5a" : "#dde3df"}`,
+    borderRadius: "8px",
+    fontSize: "13px",
+    fontWeight: 500,
+    cursor: disabled ? "not-allowed" : "pointer",
+    fontFamily: "inherit",
+  });
+
+  return (
+    <div
+      style={{
+        marginBottom: "20px",
+        padding: "14px 20px",
+        background: "#faf5e8",
+        border: "1px solid #d4c68e",
+        borderRadius: "12px",
+      }}
+    >
+      <div style={{ fontSize: "14px", color: "#7a6c3a", marginBottom: "10px", lineHeight: 1.5 }}>
+        <strong>⚠️ ZIP {zip} is split across {counties.length} counties.</strong> Risk can differ between them —
+        pick the county your property is in, or view a blend weighted by each county's approximate share of the ZIP's area.
+      </div>
+      <div style={{ display: "flex", gap: "6px", flexWrap: "wrap" }}>
+        {counties.map((c) => {
+          const available = Boolean(records[c.fips]);
+          return (
+            <button
+              key={c.fips}
+              onClick={() => available && onSelect(c.fips)}
+              disabled={!available}
+              title={available ? `County FIPS ${c.fips}` : "NRI data unavailable for this county"}
+              style={chipStyle(selected === c.fips, !available)}
+            >
+              {records[c.fips]?.county || c.countyName} · {Math.round(c.share * 100)}%
+            </button>
+          );
+        })}
+        <button onClick={() => onSelect(BLENDED_COUNTY)} style={chipStyle(selected === BLENDED_COUNTY, false)}>
+          Blended (share-weighted)
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const MAP_WIDTH = 600;
+const MAP_HEIGHT = 360;
+
+function CountyMap({ location, fips, onSelectCounty }) {
+  const [atlas, setAtlas] = useState(null);
+  const [summaries, setSummaries] = useState({});
+  const [field, setField] = useState("RISK_SCORE");
+  const [hovered, setHovered] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadCountyAtlas()
+      .then((loaded) => !cancelled && setAtlas(loaded))
+      .catch(() => !cancelled && setError("County boundaries could not be loaded."));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const features = useMemo(() => (atlas ? countyNeighborhood(atlas, fips) : []), [atlas, fips]);
+
+  useEffect(() => {
+    if (features.length === 0) return;
+    const controller = new AbortController();
+    fetchNRISummaries(features.map((f) => f.id), { signal: controller.signal })
+      .then(setSummaries)
+      .catch((err) => !isAbortError(err) && setError("Risk scores for neighboring counties are unavailable."));
+    return () => controller.abort();
+  }, [features]);
+
+  if (error && features.length === 0) return null;
+
+  const project = features.length ? makeProjection(features, MAP_WIDTH, MAP_HEIGHT) : null;
+  const point = project && location.lat && location.lng ? project([location.lng, location.lat]) : null;
+  const hoveredFeature = features.find((f) => f.id === hovered);
+  const fieldLabel = field === "RISK_SCORE"
+    ? "Overall risk"
+    : Object.values(HAZARD_CONFIG).find((c) => `${c.key}_RISKS` === field)?.label;
+
+  return (
+    <div
+      style={{
+        background: "white",
+        borderRadius: "16px",
+        padding: "20px 24px",
+        marginBottom: "24px",
+        border: "1px solid #eee",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "12px", flexWrap: "wrap", marginBottom: "12px" }}>
+        <div>
+          <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "2px" }}>
+            Neighboring Counties
+          </div>
+          <div style={{ fontSize: "13px", color: "#666" }}>Click a neighboring county to see its full results</div>
+        </div>
+        <select
+          value={field}
+          onChange={(e) => setField(e.target.value)}
+          style={{ padding: "8px 10px", fontSize: "13px", border: "1px solid #dde3df", borderRadius: "8px", fontFamily: "inherit", background: "white" }}
+        >
+          <option value="RISK_SCORE">Overall risk</option>
+          {Object.values(HAZARD_CONFIG).map((config) => (
+            <option key={config.key} value={`${config.key}_RISKS`}>
+              {config.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!project ? (
+        <div style={{ height: MAP_HEIGHT / 2, display: "flex", alignItems: "center", justifyContent: "center", color: "#999", fontSize: "14px", animation: "pulse 1.5s ease infinite" }}>
+          Loading map…
         </div>
+      ) : (
+        <svg viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`} style={{ width: "100%", height: "auto", display: "block" }}>
+          {features.map((feature) => {
+            const isTarget = feature.id === fips;
+            const score = summaries[feature.id]?.[field];
+            const rating = getRiskRating(score);
+            return (
+              <path
+                key={feature.id}
+                d={featurePath(feature, project)}
+                fill={rating.color}
+                fillOpacity={hovered === feature.id ? 0.85 : isTarget ? 0.75 : 0.5}
+                stroke={isTarget ? "#1e2e26" : "white"}
+                strokeWidth={isTarget ? 2.5 : 1}
+                style={{ cursor: isTarget ? "default" : "pointer", transition: "fill-opacity 0.2s ease" }}
+                onMouseEnter={() => setHovered(feature.id)}
+                onMouseLeave={() => setHovered(null)}
+                onClick={() => !isTarget && onSelectCounty(countyDetails(atlas, feature))}
+              />
+            );
+          })}
+          {/* Draw the target outline last so neighbors don't cover it */}
+          {features
+            .filter((f) => f.id === fips)
+            .map((feature) => (
+              <path key="outline" d={featurePath(feature, project)} fill="none" stroke="#1e2e26" strokeWidth="2.5" pointerEvents="none" />
+            ))}
+          {point && (
+            <g pointerEvents="none">
+              <circle cx={point[0]} cy={point[1]} r="7" fill="#1e2e26" fillOpacity="0.2" />
+              <circle cx={point[0]} cy={point[1]} r="4" fill="#1e2e26" stroke="white" strokeWidth="1.5" />
+            </g>
+          )}
+        </svg>
       )}
+
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px", flexWrap: "wrap", marginTop: "10px", fontSize: "12px", color: "#666" }}>
+        <div style={{ minHeight: "18px" }}>
+          {hoveredFeature && (
+            <>
+              <strong style={{ color: "#1e2e26" }}>{hoveredFeature.properties.name}</strong>
+              {" · "}
+              {fieldLabel}: {summaries[hoveredFeature.id]?.[field]?.toFixed(1) ?? "—"} ({getRiskRating(summaries[hoveredFeature.id]?.[field]).label})
+            </>
+          )}
+        </div>
+        <div style={{ display: "flex", gap: "10px", flexWrap: "wrap" }}>
+          {RISK_RATINGS.map((r) => (
+            <div key={r.label} style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+              <span style={{ display: "inline-block", width: 10, height: 10, borderRadius: 2, background: r.color }} />
+              {r.label}
+            </div>
+          ))}
+        </div>
+      </div>
+      {error && <div style={{ fontSize: "12px", color: "#9e5a42", marginTop: "6px" }}>{error}</div>}
     </div>
   );
 }
 
-function OverallRiskSummary({ nriData }) {
-  const overallScore = nriData?.RISK_SCORE;
-  const overallRating = nriData?.RISK_RATNG;
-  const ealScore = nriData?.EAL_SCORE;
-  const soviScore = nriData?.SOVI_SCORE;
-  const reslScore = nriData?.RESL_SCORE;
-  
-  const rating = getRiskRating(overallScore);
-  
-  return (
-    <div
-      style={{
-        background: `linear-gradient(135deg, ${rating.color}08, ${rating.color}15)`,
-        borderRadius: "20px",
-        padding: "28px 32px",
-        border: `1px solid ${rating.color}25`,
-        marginBottom: "24px",
-      }}
+function TractPanel({ location, countyRecords }) {
+  const [expanded, setExpanded] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  // Street addresses and coordinates pin down an exact point; ZIPs and cities only a center point
+  const isExactPoint = location.queryType === "address" || location.queryType === "coordinates";
+
+  const loadTract = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const tract = location.tractFips
+        ? { tractFips: location.tractFips, tractName: location.tractName }
+        : await findCensusTract(location.lat, location.lng);
+      const countyFips = tract.tractFips.substring(0, 5);
+      const [tractData, countyData] = await Promise.all([
+        loadNRITractData(tract.tractFips).then(({ value }) => value),
+        countyRecords[countyFips] ?? loadNRIData(countyFips).then(({ value }) => value),
+      ]);
+      setResult({ tract, tractData, countyData });
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggle = () => {
+    if (!expanded && !result && !loading) loadTract();
+    setExpanded(!expanded);
+  };
+
+  const rows = result
+    ? [
+        { id: "overall", label: "Overall Risk", field: "RISK_SCORE" },
+        { id: "eal", label: "Expected Loss", field: "EAL_SCORE" },
+        { id: "sovi", label: "Social Vulnerability", field: "SOVI_SCORE" },
+        { id: "resl", label: "Community Resilience", field: "RESL_SCORE" },
+        ...Object.entries(HAZARD_CONFIG)
+          .filter(([, config]) => isHazardApplicable(result.tractData, config.key) || isHazardApplicable(result.countyData, config.key))
+          .map(([id, config]) => ({ id, label: `${config.icon} ${config.label}`, field: `${config.key}_RISKS` })),
+      ]
+    : [];
+
+  return (
+    <div
+      style={{
+        background: "white",
+        borderRadius: "16px",
+        marginBottom: "24px",
+        border: "1px solid #eee",
+        overflow: "hidden",
+      }}
+    >
+      <button
+        onClick={toggle}
+        style={{
+          width: "100%",
+          padding: "16px 24px",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          background: "transparent",
+          border: "none",
+          cursor: "pointer",
+          fontFamily: "inherit",
+          textAlign: "left",
+        }}
+      >
+        <div>
+          <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "2px" }}>
+            Neighborhood Detail
+          </div>
+          <div style={{ fontSize: "14px", color: "#1e2e26" }}>
+            Compare your census tract's risk with the county average
+          </div>
+        </div>
+        <div
+          style={{
+            transform: expanded ? "rotate(180deg)" : "rotate(0deg)",
+            transition: "transform 0.3s ease",
+            color: "#999",
+            fontSize: "18px",
+          }}
+        >
+          ▼
+        </div>
+      </button>
+
+      {expanded && (
+        <div style={{ padding: "0 24px 24px", borderTop: "1px solid #f0f0f0", animation: "fadeIn 0.3s ease" }}>
+          {loading && (
+            <div style={{ marginTop: "16px", color: "#999", fontSize: "14px", animation: "pulse 1.5s ease infinite" }}>
+              Looking up census tract…
+            </div>
+          )}
+
+          {error && !loading && (
+            <div
+              style={{
+                marginTop: "12px",
+                padding: "10px 16px",
+                background: "#fdf0ee",
+                border: "1px solid #c27a5a30",
+                borderRadius: "8px",
+                color: "#9e5a42",
+                fontSize: "14px",
+              }}
+            >
+              {error}
+            </div>
+          )}
+
+          {result && !loading && (
+            <>
+              <div style={{ marginTop: "16px", fontSize: "14px", color: "#1e2e26" }}>
+                <strong>{result.tract.tractName}</strong>, {result.countyData.county}
+                <span style={{ color: "#999", fontSize: "13px" }}> · Tract FIPS {result.tract.tractFips}</span>
+              </div>
+              <div style={{ fontSize: "13px", color: "#888", marginTop: "2px" }}>
+                {isExactPoint
+                  ? `Tract containing ${location.matchedAddress}`
+                  : `Based on the center point of ${location.matchedAddress}. Search a street address for your exact tract.`}
+              </div>
+
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px", color: "#444", marginTop: "12px" }}>
+                <thead>
+                  <tr style={{ color: "#999", fontSize: "11px", textTransform: "uppercase", letterSpacing: "0.3px" }}>
+                    <th style={{ textAlign: "left", fontWeight: 500, padding: "4px 0" }}>Score</th>
+                    <th style={{ textAlign: "right", fontWeight: 500, padding: "4px 0" }}>Tract</th>
+                    <th style={{ textAlign: "right", fontWeight: 500, padding: "4px 0" }}>County</th>
+                    <th style={{ textAlign: "right", fontWeight: 500, padding: "4px 0" }}>Difference</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => {
+                    const tractScore = result.tractData[row.field];
+                    const countyScore = result.countyData[row.field];
+                    const hasBoth = typeof tractScore === "number" && typeof countyScore === "number";
+                    const diff = hasBoth ? tractScore - countyScore : null;
+                    // Higher resilience is good; for every other score higher is worse
+                    const worse = row.id === "resl" ? diff < 0 : diff > 0;
+                    return (
+                      <tr key={row.id} style={{ borderTop: "1px solid #f0f0f0" }}>
+                        <td style={{ padding: "6px 0", color: "#1e2e26" }}>{row.label}</td>
+                        <td style={{ textAlign: "right", color: getRiskRating(tractScore).color, fontWeight: 600 }}>
+                          {typeof tractScore === "number" ? tractScore.toFixed(1) : "—"}
+                        </td>
+                        <td style={{ textAlign: "right" }}>{typeof countyScore === "number" ? countyScore.toFixed(1) : "—"}</td>
+                        <td style={{ textAlign: "right", color: diff === null || Math.abs(diff) < 0.05 ? "#999" : worse ? "#b85c4a" : "#4a8c6a" }}>
+                          {diff === null ? "—" : `${diff > 0 ? "▲ +" : diff < 0 ? "▼ " : ""}${diff.toFixed(1)}`}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <div style={{ fontSize: "12px", color: "#888", marginTop: "10px", lineHeight: 1.5 }}>
+                Tract scores rank this tract against all US census tracts; county scores rank the county against all US
+                counties. A large gap means your neighborhood stands out from the county as a whole.
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function OverallRiskSummary({ nriData, ranks = null, stateName }) {
+  const overallScore = nriData?.RISK_SCORE;
+  const overallRating = nriData?.RISK_RATNG;
+  const ealScore = nriData?.EAL_SCORE;
+  const soviScore = nriData?.SOVI_SCORE;
+  const reslScore = nriData?.RESL_SCORE;
+  
+  const rating = getRiskRating(overallScore);
+  
+  return (
+    <div
+      style={{
+        background: `linear-gradient(135deg, ${rating.color}08, ${rating.color}15)`,
+        borderRadius: "20px",
+        padding: "28px 32px",
+        border: `1px solid ${rating.color}25`,
+        marginBottom: "24px",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: "24px", flexWrap: "wrap" }}>
+        <RiskGauge score={overallScore} size={160} />
+        <div style={{ flex: 1, minWidth: "200px" }}>
+          <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "4px" }}>
+            Overall Community Risk
+          </div>
+          <div style={{ fontSize: "28px", fontWeight: 700, color: rating.color, marginBottom: "4px" }}>
+            {overallRating || rating.label}
+          </div>
+          <div style={{ fontSize: "14px", color: "#666", lineHeight: 1.5 }}>
+            This composite score accounts for expected annual loss across all 18 natural hazards,
+            adjusted for social vulnerability and community resilience.
+          </div>
+          
+          <div style={{ display: "flex", gap: "16px", marginTop: "16px", flexWrap: "wrap" }}>
+            {[
+              { label: "Expected Loss", value: ealScore, rating: nriData?.EAL_RATNG },
+              { label: "Social Vulnerability", value: soviScore, rating: nriData?.SOVI_RATNG },
+              { label: "Community Resilience", value: reslScore, rating: nriData?.RESL_RATNG },
+            ].map((item) => (
+              <div
+                key={item.label}
+                style={{
+                  padding: "8px 14px",
+                  background: "white",
+                  borderRadius: "10px",
+                  border: "1px solid #e8e8e8",
+                }}
+              >
+                <div style={{ fontSize: "11px", color: "#999" }}>{item.label}</div>
+                <div style={{ fontSize: "15px", fontWeight: 600, color: "#1e2e26" }}>
+                  {item.value?.toFixed(1) ?? "—"} <span style={{ fontSize: "11px", color: "#999", fontWeight: 400 }}>{item.rating}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <RankContext ranks={ranks} stateName={stateName} color={rating.color} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── CUSTOM INDEX ────────────────────────────────────────────────────
+// The user's own composite: hazard weights, optional vulnerability and
+// resilience adjustments, presets (see customIndex.js). The same controls sit
+// on the results, compare and explore tabs; the settings carry across them.
+
+const indexInputStyle = {
+  padding: "6px 10px",
+  border: "1px solid #d5dbd7",
+  borderRadius: "8px",
+  fontSize: "13px",
+  fontFamily: "inherit",
+  background: "white",
+  color: "#1e2e26",
+};
+
+function CustomIndexControls({ customIndex, savedPresets, onChange, onPresetsChange }) {
+  const [editing, setEditing] = useState(false);
+  const [presetName, setPresetName] = useState("");
+  const [copied, setCopied] = useState(false);
+  const { enabled, config } = customIndex;
+
+  const builtIn = Object.keys(INDEX_PRESETS).find((id) => sameCustomIndex(presetIndex(id), config));
+  const saved = savedPresets.find((preset) => sameCustomIndex(preset.config, config));
+  const presetValue = builtIn ? `builtin:${builtIn}` : saved ? `saved:${saved.name}` : "";
+
+  const update = (changes) => onChange({ enabled: true, config: { ...config, ...changes } });
+  const choosePreset = (value) => {
+    const [kind, ...rest] = value.split(":");
+    const name = rest.join(":");
+    const next = kind === "builtin" ? presetIndex(name) : savedPresets.find((preset) => preset.name === name)?.config;
+    if (next) onChange({ enabled: true, config: next });
+  };
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    onPresetsChange([...savedPresets.filter((preset) => preset.name !== name), { name, config }]);
+    setPresetName("");
+  };
+  // The URL carries the weights, so the current address is the share link
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (e) {
+      // No clipboard access; the address bar has the same link
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", alignItems: "center", gap: "10px", flexWrap: "wrap" }}>
+        <label style={{ display: "flex", alignItems: "center", gap: "8px", fontSize: "14px", fontWeight: 600, color: "#1e2e26", cursor: "pointer", marginRight: "auto" }}>
+          <input type="checkbox" checked={enabled} onChange={(e) => onChange({ ...customIndex, enabled: e.target.checked })} />
+          Custom index with my own hazard weights
+        </label>
+        {enabled && (
+          <>
+            <select value={presetValue} onChange={(e) => choosePreset(e.target.value)} style={indexInputStyle} aria-label="Weight preset">
+              {!presetValue && <option value="">Custom weights</option>}
+              {Object.entries(INDEX_PRESETS).map(([id, preset]) => (
+                <option key={id} value={`builtin:${id}`}>
+                  {preset.label}
+                </option>
+              ))}
+              {savedPresets.length > 0 && (
+                <optgroup label="Saved">
+                  {savedPresets.map((preset) => (
+                    <option key={preset.name} value={`saved:${preset.name}`}>
+                      {preset.name}
+                    </option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+            <button onClick={() => setEditing(!editing)} style={{ ...indexInputStyle, cursor: "pointer", fontWeight: 600 }}>
+              {editing ? "Hide weights" : "Edit weights"}
+            </button>
+            <button onClick={copyLink} style={{ ...indexInputStyle, cursor: "pointer" }}>
+              {copied ? "Link copied" : "Copy link"}
+            </button>
+          </>
+        )}
+      </div>
+
+      {enabled && editing && (
+        <div style={{ marginTop: "14px", paddingTop: "14px", borderTop: "1px solid #f0f0f0" }}>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))", gap: "6px 20px" }}>
+            {Object.entries(HAZARD_CONFIG).map(([id, hazard]) => (
+              <label key={id} style={{ display: "flex", alignItems: "center", gap: "8px", fontSize: "13px", color: "#444" }}>
+                <span style={{ flex: 1, whiteSpace: "nowrap", opacity: config.weights[id] === 0 ? 0.5 : 1 }}>
+                  {hazard.icon} {hazard.label}
+                </span>
+                <input
+                  type="range"
+                  min={0}
+                  max={MAX_WEIGHT}
+                  step={1}
+                  value={config.weights[id]}
+                  onChange={(e) => update({ weights: { ...config.weights, [id]: Number(e.target.value) } })}
+                  aria-label={`${hazard.label} weight`}
+                  style={{ width: "90px" }}
+                />
+                <span style={{ width: "12px", textAlign: "right", fontWeight: 600, color: "#1e2e26" }}>{config.weights[id]}</span>
+              </label>
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: "20px", flexWrap: "wrap", marginTop: "14px", fontSize: "13px", color: "#444" }}>
+            <label style={{ display: "flex", alignItems: "center", gap: "6px", cursor: "pointer" }}>
+              <input type="checkbox" checked={config.sovi} onChange={(e) => update({ sovi: e.target.checked })} />
+              Raise for high social vulnerability
+            </label>
+            <label style={{ display: "flex", alignItems: "center", gap: "6px", cursor: "pointer" }}>
+              <input type="checkbox" checked={config.resl} onChange={(e) => update({ resl: e.target.checked })} />
+              Lower for high community resilience
+            </label>
+          </div>
+          <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", alignItems: "center", marginTop: "14px" }}>
+            <input
+              type="text"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && savePreset()}
+              placeholder="Preset name"
+              style={{ ...indexInputStyle, width: "180px" }}
+            />
+            <button onClick={savePreset} disabled={!presetName.trim()} style={{ ...indexInputStyle, cursor: presetName.trim() ? "pointer" : "default", fontWeight: 600 }}>
+              Save preset
+            </button>
+            {saved && (
+              <button
+                onClick={() => onPresetsChange(savedPresets.filter((preset) => preset.name !== saved.name))}
+                style={{ background: "none", border: "none", color: "#9e5a42", fontSize: "12px", cursor: "pointer", fontFamily: "inherit" }}
+              >
+                Delete "{saved.name}"
+              </button>
+            )}
+            <span style={{ fontSize: "12px", color: "#999" }}>Presets are saved in this browser; share weights with Copy link.</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The custom index for the result, under the NRI's own score. `result` is
+// from customIndexScorer; `status` explains a missing one.
+function CustomIndexPanel({ result, status, ranks, stateName, controls }) {
+  if (!controls.customIndex.enabled) {
+    return (
+      <div style={{ background: "white", borderRadius: "16px", padding: "16px 24px", marginBottom: "24px", border: "1px dashed #d5dbd7" }}>
+        <CustomIndexControls {...controls} />
+        <div style={{ fontSize: "13px", color: "#666", marginTop: "6px" }}>
+          Weight the hazards that matter to you (drought and hail for a farm, earthquake and flood for a data center) for
+          a score of your own.
+        </div>
+      </div>
+    );
+  }
+
+  const rating = getRiskRating(result?.score);
+  const topHazards = result?.hazards.filter((h) => h.contribution > 0).slice(0, 5) ?? [];
+  const maxContribution = topHazards[0]?.contribution || 1;
+
+  return (
+    <div style={{ background: "white", borderRadius: "16px", padding: "20px 24px", marginBottom: "24px", border: `1px solid ${rating.color}40` }}>
+      <CustomIndexControls {...controls} />
+      {!result ? (
+        <div style={{ fontSize: "13px", color: "#999", marginTop: "14px" }}>{status}</div>
+      ) : (
+        <div style={{ display: "flex", alignItems: "center", gap: "24px", flexWrap: "wrap", marginTop: "16px" }}>
+          <RiskGauge score={result.score} size={140} />
+          <div style={{ flex: 1, minWidth: "200px" }}>
+            <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "4px" }}>
+              Your Custom Index
+            </div>
+            <div style={{ fontSize: "24px", fontWeight: 700, color: rating.color, marginBottom: "4px" }}>{rating.label}</div>
+            <div style={{ fontSize: "13px", color: "#666", lineHeight: 1.5 }}>
+              Higher than {Math.round(result.score)}% of US counties under your weights
+              {(result.soviFactor !== 1 || result.reslFactor !== 1) &&
+                ` (adjusted ×${(result.soviFactor * result.reslFactor).toFixed(2)} for ${[
+                  result.soviFactor !== 1 && "social vulnerability",
+                  result.reslFactor !== 1 && "resilience",
+                ]
+                  .filter(Boolean)
+                  .join(" and ")})`}
+              .
+            </div>
+
+            {topHazards.length > 0 && (
+              <div style={{ marginTop: "12px" }}>
+                <div style={{ fontSize: "11px", color: "#999", marginBottom: "4px" }}>Largest contributors (score × weight)</div>
+                {topHazards.map((hazard) => (
+                  <div key={hazard.id} style={{ display: "flex", alignItems: "center", gap: "8px", fontSize: "12px", color: "#444", marginBottom: "3px" }}>
+                    <span style={{ width: "120px", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{hazard.label}</span>
+                    <div style={{ flex: 1, height: "6px", background: "#f0f0f0", borderRadius: "3px" }}>
+                      <div
+                        style={{ width: `${(hazard.contribution / maxContribution) * 100}%`, height: "100%", background: rating.color, borderRadius: "3px" }}
+                      />
+                    </div>
+                    <span style={{ width: "64px", textAlign: "right", color: "#999" }}>
+                      {hazard.score.toFixed(0)} × {hazard.weight}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <RankContext ranks={ranks} stateName={stateName} color={rating.color} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── DISASTER HISTORY ────────────────────────────────────────────────
+// Federal declarations for the county by incident type and decade, to set
+// the modeled risk beside what has actually happened.
+
+const DECLARATION_TYPES = { DR: "Major disaster", EM: "Emergency", FM: "Fire management" };
+
+function DeclarationsTimeline({ countyName, history }) {
+  const [showList, setShowList] = useState(false);
+  if (!history) return null;
+  const { summary, error } = history;
+
+  const maxCell = summary ? Math.max(1, ...summary.incidentTypes.flatMap((g) => Object.values(g.byDecade))) : 1;
+  const all = summary ? summary.incidentTypes.flatMap((g) => g.declarations).sort((a, b) => b.declarationDate.localeCompare(a.declarationDate)) : [];
+
+  return (
+    <div
+      style={{
+        background: "white",
+        borderRadius: "16px",
+        padding: "20px 24px",
+        marginBottom: "24px",
+        border: "1px solid #eee",
+      }}
+    >
+      <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "4px" }}>
+        Disaster History
+      </div>
+      {error ? (
+        <div style={{ fontSize: "13px", color: "#9e5a42" }}>Couldn't load disaster declarations: {error}</div>
+      ) : !summary ? (
+        <div style={{ fontSize: "13px", color: "#999", animation: "pulse 1.5s ease infinite" }}>Loading federal disaster declarations…</div>
+      ) : (
+        <>
+          <div style={{ fontSize: "13px", color: "#666", marginBottom: "14px" }}>
+            {summary.total} federal disaster and emergency declaration{summary.total === 1 ? "" : "s"} covering {countyName} since{" "}
+            {DECLARATIONS_SINCE}, including statewide ones
+          </div>
+
+          {summary.total > 0 && (
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ borderCollapse: "separate", borderSpacing: "3px", fontSize: "12px", color: "#444" }}>
+                <thead>
+                  <tr style={{ color: "#999" }}>
+                    <th style={{ textAlign: "left", fontWeight: 500, paddingRight: "8px" }}>Incident type</th>
+                    {summary.decades.map((decade) => (
+                      <th key={decade} style={{ fontWeight: 500, minWidth: "34px" }}>
+                        {`'${String(decade).slice(2)}s`}
+                      </th>
+                    ))}
+                    <th style={{ fontWeight: 500, paddingLeft: "6px", textAlign: "right" }}>Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.incidentTypes.map((group) => (
+                    <tr key={group.incidentType}>
+                      <td style={{ whiteSpace: "nowrap", paddingRight: "8px" }}>
+                        {group.hazards.map((id) => HAZARD_CONFIG[id].icon).join("")} {group.incidentType}
+                      </td>
+                      {summary.decades.map((decade) => {
+                        const count = group.byDecade[decade] ?? 0;
+                        return (
+                          <td
+                            key={decade}
+                            title={`${count} in the ${decade}s`}
+                            style={{
+                              textAlign: "center",
+                              borderRadius: "4px",
+                              padding: "4px 0",
+                              background: count ? `rgba(61, 122, 90, ${0.15 + (count / maxCell) * 0.75})` : "#f6f7f6",
+                              color: count / maxCell > 0.5 ? "white" : "#444",
+                            }}
+                          >
+                            {count || ""}
+                          </td>
+                        );
+                      })}
+                      <td style={{ textAlign: "right", fontWeight: 600, paddingLeft: "6px" }}>{group.count}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {summary.total > 0 && (
+            <button
+              onClick={() => setShowList(!showList)}
+              style={{ marginTop: "12px", background: "none", border: "none", color: "#3d7a5a", fontSize: "13px", cursor: "pointer", fontFamily: "inherit", padding: 0 }}
+            >
+              {showList ? "Hide" : "Show"} all {summary.total} declarations
+            </button>
+          )}
+          {showList && (
+            <div style={{ marginTop: "10px", maxHeight: "320px", overflowY: "auto", fontSize: "13px", color: "#444" }}>
+              {all.map((d) => (
+                <div key={d.disasterNumber} style={{ display: "flex", gap: "12px", padding: "6px 0", borderTop: "1px solid #f0f0f0" }}>
+                  <span style={{ color: "#999", whiteSpace: "nowrap", minWidth: "86px" }}>{d.declarationDate.slice(0, 10)}</span>
+                  <span style={{ flex: 1 }}>
+                    {d.declarationTitle}
+                    <span style={{ color: "#999" }}>
+                      {" "}
+                      · {DECLARATION_TYPES[d.declarationType] ?? d.declarationType} {d.declarationType}-{d.disasterNumber}
+                      {d.statewide ? " · statewide" : ""}
+                    </span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── FLOOD INSURANCE ─────────────────────────────────────────────────
+// NFIP claims and policies for the county, shown inside the Flooding card.
+// Loaded when the card is first expanded, as large counties mean large downloads.
+
+function FloodInsurancePanel({ fips }) {
+  const [state, setState] = useState({ loading: true, data: null, error: null });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setState({ loading: true, data: null, error: null });
+    loadNFIPData(fips, { signal: controller.signal })
+      .then(({ value }) => setState({ loading: false, data: value, error: null }))
+      .catch((err) => {
+        if (controller.signal.aborted || isAbortError(err)) return;
+        setState({ loading: false, data: null, error: describeError(err) });
+      });
+    return () => controller.abort();
+  }, [fips]);
+
+  const { loading, data, error } = state;
+  const claims = data?.claims;
+  const maxPaid = claims ? Math.max(1, ...claims.byYear.map((y) => y.paid)) : 1;
+
+  return (
+    <div
+      onClick={(e) => e.stopPropagation()}
+      style={{ marginTop: "20px", paddingTop: "16px", borderTop: "1px solid #f0f0f0", cursor: "default" }}
+    >
+      <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "0.5px", marginBottom: "8px" }}>
+        Flood Insurance Claims (NFIP)
+      </div>
+      {loading ? (
+        <div style={{ fontSize: "13px", color: "#999", animation: "pulse 1.5s ease infinite" }}>Loading NFIP claims and policies…</div>
+      ) : error ? (
+        <div style={{ fontSize: "13px", color: "#9e5a42" }}>Couldn't load NFIP data: {error}</div>
+      ) : claims.totalClaims === 0 ? (
+        <div style={{ fontSize: "13px", color: "#666" }}>
+          No NFIP flood claims on record for this county
+          {data.policiesInForce !== null && ` (${data.policiesInForce.toLocaleString()} policies in force)`}.
+        </div>
+      ) : (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(120px, 1fr))", gap: "10px", marginBottom: "16px" }}>
+            {[
+              { label: "Policies in force", value: data.policiesInForce !== null ? data.policiesInForce.toLocaleString() : "—" },
+              { label: `Claims since ${claims.firstYear}`, value: claims.totalClaims.toLocaleString() },
+              { label: "Total paid", value: formatCurrency(claims.totalPaid) },
+              { label: "Average paid claim", value: formatCurrency(claims.averagePaid) },
+            ].map((stat) => (
+              <div key={stat.label} style={{ padding: "10px 14px", background: "#f8f9fa", borderRadius: "10px" }}>
+                <div style={{ fontSize: "11px", color: "#999", textTransform: "uppercase", letterSpacing: "0.3px" }}>{stat.label}</div>
+                <div style={{ fontSize: "18px", fontWeight: 600, color: "#1e2e26" }}>{stat.value}</div>
+              </div>
+            ))}
+          </div>
+
+          {/* Paid by year */}
+          <div style={{ display: "flex", alignItems: "flex-end", gap: "2px", height: "80px" }}>
+            {claims.byYear.map((y) => (
+              <div
+                key={y.year}
+                title={`${y.year}: ${y.claims.toLocaleString()} claims, ${formatCurrency(y.paid)} paid`}
+                style={{ flex: 1, minWidth: "2px", height: `${Math.max(2, (y.paid / maxPaid) * 100)}%`, background: "#4a90b8", borderRadius: "2px 2px 0 0" }}
+              />
+            ))}
+          </div>
+          <div style={{ display: "flex", justifyContent: "space-between", fontSize: "11px", color: "#999", marginTop: "4px", marginBottom: "16px" }}>
+            <span>{claims.firstYear}</span>
+            <span>Amount paid by year of loss</span>
+            <span>{claims.lastYear}</span>
+          </div>
+
+          {claims.topEvents.length > 0 && (
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px", color: "#444" }}>
+              <thead>
+                <tr style={{ color: "#999", fontSize: "11px", textTransform: "uppercase", letterSpacing: "0.3px" }}>
+                  <th style={{ textAlign: "left", fontWeight: 500, padding: "4px 0" }}>
+                    Largest Flood Events{!data.complete && ` ${claims.firstYear}–${claims.lastYear}`}
+                  </th>
+                  <th style={{ textAlign: "right", fontWeight: 500, padding: "4px 0" }}>Year</th>
+                  <th style={{ textAlign: "right", fontWeight: 500, padding: "4px 0" }}>Claims</th>
+                  <th style={{ textAlign: "right", fontWeight: 500, padding: "4px 0" }}>Paid</th>
+                </tr>
+              </thead>
+              <tbody>
+                {claims.topEvents.map((event) => (
+                  <tr key={event.name} style={{ borderTop: "1px solid #f0f0f0" }}>
+                    <td style={{ padding: "6px 0" }}>{event.name}</td>
+                    <td style={{ textAlign: "right" }}>{event.year}</td>
+                    <td style={{ textAlign: "right" }}>{event.claims.toLocaleString()}</td>
+                    <td style={{ textAlign: "right" }}>{formatCurrency(event.paid)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div style={{ fontSize: "12px", color: "#888", marginTop: "10px", lineHeight: 1.5 }}>
+            {!data.complete &&
+              `The county has more than ${NFIP_MAX_CLAIMS.toLocaleString()} claims, so only ${claims.firstYear}–${claims.lastYear} are loaded: the totals, average claim and largest events leave out earlier floods. `}
+            Only insured properties file NFIP claims, so these understate total flood damage. Source: OpenFEMA FIMA NFIP
+            redacted claims and policies.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── PROPERTY PROFILE ────────────────────────────────────────────────
+// Optional details about the user's own home, used to turn the county's loss
+// ratios into a dollar estimate for the property (see propertyProfile.js).
+
+const profileInputStyle = {
+  padding: "8px 10px",
+  border: "1px solid #d5dbd7",
+  borderRadius: "8px",
+  fontSize: "13px",
+  fontFamily: "inherit",
+  background: "white",
+  color: "#1e2e26",
+};
+
+function PropertyPanel({ profile, estimate, onChange }) {
+  const update = (changes) => onChange({ ...profile, ...changes });
+  const toggleMitigation = (id) =>
+    update({
+      mitigations: profile.mitigations.includes(id) ? profile.mitigations.filter((m) => m !== id) : [...profile.mitigations, id],
+    });
+
+  if (!profile) {
+    return (
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          gap: "16px",
+          flexWrap: "wrap",
+          background: "white",
+          borderRadius: "16px",
+          padding: "16px 24px",
+          marginBottom: "24px",
+          border: "1px dashed #d5dbd7",
+        }}
+      >
+        <div style={{ fontSize: "13px", color: "#666" }}>
+          <strong style={{ color: "#1e2e26" }}>What does this mean for your home?</strong> Add its value and construction to
+          estimate its yearly losses and what mitigations would save.
+        </div>
+        <button
+          onClick={() => onChange(DEFAULT_PROFILE)}
+          style={{ ...profileInputStyle, cursor: "pointer", fontWeight: 600, color: "#1e3a2a" }}
+        >
+          Add your home
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      style={{
+        background: "white",
+        borderRadius: "16px",
+        padding: "20px 24px",
+        marginBottom: "24px",
+        border: "1px solid #eee",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "baseline", justifyContent: "space-between", gap: "16px", marginBottom: "14px" }}>
+        <div>
+          <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "4px" }}>
+            Your Home
+          </div>
+          <div style={{ fontSize: "13px", color: "#666" }}>Saved in this browser only</div>
+        </div>
+        <button
+          onClick={() => onChange(null)}
+          style={{ background: "none", border: "none", color: "#999", fontSize: "12px", cursor: "pointer", fontFamily: "inherit" }}
+        >
+          Remove
+        </button>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: "12px", marginBottom: "14px" }}>
+        <label style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "12px", color: "#666" }}>
+          Home value (rebuild cost)
+          <input
+            type="number"
+            min="0"
+            step="10000"
+            placeholder="e.g. 350000"
+            value={profile.homeValue ?? ""}
+            onChange={(e) => update({ homeValue: e.target.value === "" ? null : Math.max(0, Number(e.target.value)) })}
+            style={profileInputStyle}
+          />
+        </label>
+        <label style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "12px", color: "#666" }}>
+          Construction
+          <select value={profile.construction} onChange={(e) => update({ construction: e.target.value })} style={profileInputStyle}>
+            {Object.entries(CONSTRUCTION_TYPES).map(([id, type]) => (
+              <option key={id} value={id}>
+                {type.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "12px", color: "#666" }}>
+          FEMA flood zone
+          <select value={profile.floodZone} onChange={(e) => update({ floodZone: e.target.value })} style={profileInputStyle}>
+            {Object.entries(FLOOD_ZONES).map(([id, zone]) => (
+              <option key={id} value={id}>
+                {zone.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "8px 18px", fontSize: "13px", color: "#444", marginBottom: "16px" }}>
+        <label style={{ display: "flex", alignItems: "center", gap: "6px", cursor: "pointer" }}>
+          <input type="checkbox" checked={profile.elevated} onChange={(e) => update({ elevated: e.target.checked })} />
+          Lowest floor above base flood elevation
+        </label>
+        {Object.entries(MITIGATIONS).map(([id, mitigation]) => (
+          <label key={id} style={{ display: "flex", alignItems: "center", gap: "6px", cursor: "pointer" }}>
+            <input type="checkbox" checked={profile.mitigations.includes(id)} onChange={() => toggleMitigation(id)} />
+            {mitigation.label}
+          </label>
+        ))}
+      </div>
+
+      {!estimate ? (
+        <div style={{ fontSize: "13px", color: "#999" }}>Enter the home's value to see an estimate.</div>
+      ) : (
+        <>
+          <div style={{ display: "flex", alignItems: "baseline", gap: "10px", flexWrap: "wrap", marginBottom: "12px" }}>
+            <div style={{ fontSize: "24px", fontWeight: 700, color: "#1e2e26" }}>{formatCurrency(estimate.total)}</div>
+            <div style={{ fontSize: "13px", color: "#666" }}>estimated average loss per year to this home</div>
+          </div>
+
+          {estimate.hazards.length > 0 && (
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px", color: "#444", marginBottom: "16px" }}>
+              <thead>
+                <tr style={{ color: "#999", fontSize: "11px", textTransform: "uppercase", letterSpacing: "0.3px" }}>
+                  <th style={{ textAlign: "left", fontWeight: 500, padding: "4px 0" }}>Hazard</th>
+                  <th style={{ textAlign: "right", fontWeight: 500, padding: "4px 0" }}>County Loss Ratio</th>
+                  <th style={{ textAlign: "right", fontWeight: 500, padding: "4px 0" }}>Your Adjustment</th>
+                  <th style={{ textAlign: "right", fontWeight: 500, padding: "4px 0" }}>Per Year</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...estimate.hazards]
+                  .sort((a, b) => b.annualLoss - a.annualLoss)
+                  .map((h) => (
+                    <tr key={h.id} style={{ borderTop: "1px solid #f0f0f0" }}>
+                      <td style={{ padding: "6px 0" }}>{h.label}</td>
+                      <td style={{ textAlign: "right" }}>{formatLossRatio(h.lossRatio)}</td>
+                      <td style={{ textAlign: "right" }}>×{h.factor.toFixed(2)}</td>
+                      <td style={{ textAlign: "right" }}>{formatCurrency(h.annualLoss)}</td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          )}
+
+          <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "0.5px", marginBottom: "6px" }}>
+            Mitigations
+          </div>
+          <div style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "13px", color: "#444" }}>
+            {estimate.mitigations.map((m) => (
+              <div key={m.id} style={{ display: "flex", justifyContent: "space-between", gap: "12px" }}>
+                <span>
+                  {m.inPlace ? "✓ " : ""}
+                  {m.label}
+                </span>
+                <span style={{ color: m.savings > 0 ? "#4a8c6a" : "#999", whiteSpace: "nowrap" }}>
+                  {m.savings > 0 ? `${m.inPlace ? "saves" : "would save"} ${formatCurrency(m.savings)}/yr` : "no effect here"}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ fontSize: "12px", color: "#888", marginTop: "12px", lineHeight: 1.5 }}>
+            The county's building loss ratio for each hazard (expected annual building loss ÷ building value) applied to your
+            home's value, scaled by rough factors for construction, flood zone and mitigations. A planning aid, not an
+            insurance quote.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── PREPAREDNESS ────────────────────────────────────────────────────
+// A checklist for the location's top hazards (see preparedness.js). Checked
+// items are saved in the browser.
+
+function ChecklistItem({ action, checked, onToggle }) {
+  return (
+    <label style={{ display: "flex", alignItems: "flex-start", gap: "8px", fontSize: "13px", color: checked ? "#999" : "#444", cursor: "pointer", lineHeight: 1.5 }}>
+      <input type="checkbox" checked={checked} onChange={() => onToggle(action.id)} style={{ marginTop: "3px" }} />
+      <span style={{ textDecoration: checked ? "line-through" : "none" }}>{action.text}</span>
+    </label>
+  );
+}
+
+function ChecklistGroup({ actions, checked, onToggle }) {
+  return Object.entries(ACTION_CATEGORIES).map(([category, label]) => {
+    const inCategory = actions.filter((a) => a.category === category);
+    if (inCategory.length === 0) return null;
+    return (
+      <div key={category} style={{ marginBottom: "10px" }}>
+        <div style={{ fontSize: "11px", color: "#999", textTransform: "uppercase", letterSpacing: "0.3px", marginBottom: "4px" }}>{label}</div>
+        <div style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+          {inCategory.map((action) => (
+            <ChecklistItem key={action.id} action={action} checked={checked.has(action.id)} onToggle={onToggle} />
+          ))}
+        </div>
+      </div>
+    );
+  });
+}
+
+function PreparednessPanel({ plan, checked, onToggle, onDownload, onPrint }) {
+  const [expanded, setExpanded] = useState(false);
+  const done = plan.items.filter((action) => checked.has(action.id)).length;
+  const buttonStyle = {
+    padding: "6px 12px",
+    background: "white",
+    border: "1px solid #d5dbd7",
+    borderRadius: "8px",
+    color: "#1e3a2a",
+    fontSize: "12px",
+    fontWeight: 600,
+    cursor: "pointer",
+    fontFamily: "inherit",
+  };
+
+  return (
+    <div
+      style={{
+        background: "white",
+        borderRadius: "16px",
+        padding: "20px 24px",
+        marginTop: "24px",
+        border: "1px solid #eee",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "16px", flexWrap: "wrap" }}>
+        <div>
+          <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "4px" }}>
+            Preparedness Plan
+          </div>
+          <div style={{ fontSize: "13px", color: "#666" }}>
+            Actions for {plan.hazards.map((h) => h.label).join(", ") || "every household"} · {done} of {plan.items.length} done
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: "8px" }}>
+          <button onClick={onDownload} style={buttonStyle}>
+            Download
+          </button>
+          <button onClick={onPrint} style={buttonStyle}>
+            Print
+          </button>
+          <button onClick={() => setExpanded(!expanded)} style={{ ...buttonStyle, background: "#1e3a2a", color: "white", border: "none" }}>
+            {expanded ? "Hide" : "Show"} checklist
+          </button>
+        </div>
+      </div>
+      <div style={{ height: "6px", background: "#f0f0f0", borderRadius: "3px", marginTop: "12px", overflow: "hidden" }}>
+        <div style={{ width: `${(done / plan.items.length) * 100}%`, height: "100%", background: "#4a8c6a", transition: "width 0.3s ease" }} />
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: "16px", animation: "fadeIn 0.3s ease" }}>
+          {plan.hazards.map((hazard) => {
+            const rating = getRiskRating(hazard.score);
+            return (
+              <div key={hazard.id} style={{ paddingBottom: "12px", marginBottom: "12px", borderBottom: "1px solid #f0f0f0" }}>
+                <div style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "8px" }}>
+                  <span style={{ fontSize: "18px" }}>{hazard.icon}</span>
+                  <span style={{ fontWeight: 600, color: "#1e2e26" }}>{hazard.label}</span>
+                  <span style={{ padding: "2px 10px", borderRadius: "20px", background: rating.bg, color: rating.color, fontSize: "12px", fontWeight: 600 }}>
+                    {hazard.rating}
+                  </span>
+                </div>
+                <ChecklistGroup actions={hazard.actions} checked={checked} onToggle={onToggle} />
+              </div>
+            );
+          })}
+          <div style={{ fontWeight: 600, color: "#1e2e26", marginBottom: "8px" }}>Every household</div>
+          <ChecklistGroup actions={plan.general} checked={checked} onToggle={onToggle} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── PRINT REPORT ────────────────────────────────────────────────────
+// A print-only rendering of the current results: every hazard expanded, no
+// controls. Hidden on screen; "Export report" opens the browser's print
+// dialog, where it can be saved as a PDF.
+
+const formatReportDate = (time) =>
+  new Date(time).toLocaleString("en-US", { dateStyle: "long", timeStyle: "short" });
+
+function ReportSection({ title, children }) {
+  return (
+    <section className="report-section" style={{ marginBottom: "24px" }}>
+      {title && (
+        <h2 style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", fontWeight: 600, marginBottom: "10px" }}>
+          {title}
+        </h2>
+      )}
+      {children}
+    </section>
+  );
+}
+
+function PrintReport({
+  location,
+  nriData,
+  selectedCounty,
+  countyRecords,
+  sources,
+  searchedAt,
+  horizonYears,
+  propertyEstimate,
+  ranks,
+  declarationCounts,
+  applicableHazards,
+  inapplicableHazards,
+}) {
+  const stateName = nriData.state || location.stateName;
+  const combined = combinedProbability(
+    applicableHazards.map(([, config]) => frequencyToOdds(nriData?.[`${config.key}_APTS`], config.key).odds)
+  );
+  const geocoder = getGeocoderChain().find((g) => g.id === location.geocoder);
+
+  return (
+    <div className="print-report" style={{ color: "#1e2e26" }}>
+      <header style={{ borderBottom: "2px solid #1e3a2a", paddingBottom: "12px", marginBottom: "20px" }}>
+        <div style={{ fontSize: "12px", color: "#4a8c6a", textTransform: "uppercase", letterSpacing: "1px", fontWeight: 600 }}>
+          Natural Hazard Risk Report
+        </div>
+        <h1 style={{ fontSize: "26px", fontWeight: 700, margin: "4px 0" }}>
+          {nriData.county}, {stateName}
+        </h1>
+        <div style={{ fontSize: "13px", color: "#666", lineHeight: 1.6 }}>
+          {QUERY_TYPE_LABELS[location.queryType]}: {location.matchedAddress} ·{" "}
+          {selectedCounty === BLENDED_COUNTY ? `Blended across ${location.counties.length} counties` : `County FIPS ${selectedCounty}`}
+          {location.counties.length > 1 && (
+            <div>
+              ZIP {location.zip} spans{" "}
+              {location.counties
+                .map((c) => `${countyRecords[c.fips]?.county ?? c.countyName} (${Math.round(c.share * 100)}%)`)
+                .join(", ")}
+            </div>
+          )}
+          <div>
+            Looked up {formatReportDate(searchedAt)} · Report generated {formatReportDate(Date.now())} · FEMA National Risk Index v{NRI_VERSION}
+          </div>
+        </div>
+      </header>
+
+      <ReportSection>
+        <OverallRiskSummary nriData={nriData} ranks={ranks?.overall} stateName={stateName} />
+      </ReportSection>
+
+      {combined !== null && (
+        <ReportSection title="Chance of Any Hazard">
+          <div style={{ fontSize: "14px", color: "#444", lineHeight: 1.6 }}>
+            <strong>{formatProbability(combined)}</strong> per year that at least one applicable hazard occurs
+            {horizonYears > 1 && (
+              <>
+                ; <strong>{formatProbability(cumulativeProbability(combined, horizonYears))}</strong> over {horizonYears} years
+              </>
+            )}
+            . Hazards and years are treated as independent.
+          </div>
+        </ReportSection>
+      )}
+
+      <ReportSection>
+        <LossDriversChart nriData={nriData} hazards={applicableHazards} />
+      </ReportSection>
+
+      {propertyEstimate && (
+        <ReportSection title="Your Home">
+          <div style={{ fontSize: "14px", color: "#444", lineHeight: 1.6 }}>
+            Estimated average loss of <strong>{formatCurrency(propertyEstimate.total)}</strong> per year, from the county's
+            building loss ratios scaled for the home's value, construction, flood zone and mitigations.
+          </div>
+        </ReportSection>
+      )}
+
+      <ReportSection title="Hazard Breakdown">
+        <div style={{ display: "flex", flexDirection: "column", gap: "10px" }}>
+          {applicableHazards.map(([id, config]) => (
+            <div key={id} className="report-section">
+              <HazardCard
+                hazardId={id}
+                config={config}
+                nriData={nriData}
+                isExpanded
+                horizonYears={horizonYears}
+                propertyLoss={propertyEstimate?.hazards.find((h) => h.id === id)?.annualLoss ?? null}
+                ranks={ranks?.hazards[id]}
+                stateName={stateName}
+                declarationCount={declarationCounts?.[id] ?? null}
+              />
+            </div>
+          ))}
+        </div>
+        {inapplicableHazards.length > 0 && (
+          <div style={{ fontSize: "13px", color: "#666", marginTop: "12px" }}>
+            Not applicable to this county: {inapplicableHazards.map(([, config]) => config.label).join(", ")}
+          </div>
+        )}
+      </ReportSection>
+
+      <ReportSection title="Sources">
+        <ul style={{ fontSize: "13px", color: "#444", lineHeight: 1.7, paddingLeft: "18px" }}>
+          <li>
+            FEMA National Risk Index v{NRI_VERSION}, via the OpenFEMA API (fema.gov/about/openfema/data-sets). This product
+            uses the Federal Emergency Management Agency's OpenFEMA API, but is not endorsed by FEMA.
+          </li>
+          {sources?.nri && <li>{describeSource(sources.nri, "Risk data")}</li>}
+          {declarationCounts && <li>FEMA Disaster Declarations Summaries (OpenFEMA), declarations since {DECLARATIONS_SINCE}</li>}
+          {sources?.location && (
+            <li>
+              {describeSource(sources.location, "Location")}
+              {geocoder && ` (${geocoder.label})`}
+            </li>
+          )}
+        </ul>
+      </ReportSection>
+
+      <ReportSection title="Disclaimer">
+        <div style={{ fontSize: "12px", color: "#666", lineHeight: 1.6 }}>
+          For educational and informational purposes only. Not a substitute for professional risk assessment. Odds are
+          estimated from NRI annualized frequencies and describe the county as a whole, not a specific property.
+        </div>
+      </ReportSection>
+    </div>
+  );
+}
+
+function PrintPlan({ location, nriData, plan, checked }) {
+  const box = (action) => (
+    <li key={action.id} style={{ listStyle: "none", marginBottom: "4px" }}>
+      {checked.has(action.id) ? "☑" : "☐"} {action.text}
+    </li>
+  );
+  const section = (actions) =>
+    Object.entries(ACTION_CATEGORIES).map(([category, label]) => {
+      const inCategory = actions.filter((a) => a.category === category);
+      return inCategory.length ? (
+        <div key={category} style={{ marginBottom: "8px" }}>
+          <div style={{ fontSize: "11px", color: "#999", textTransform: "uppercase", letterSpacing: "0.3px", marginBottom: "4px" }}>{label}</div>
+          <ul style={{ fontSize: "13px", color: "#444", lineHeight: 1.5 }}>{inCategory.map(box)}</ul>
+        </div>
+      ) : null;
+    });
+
+  return (
+    <div className="print-report" style={{ color: "#1e2e26" }}>
+      <header style={{ borderBottom: "2px solid #1e3a2a", paddingBottom: "12px", marginBottom: "20px" }}>
+        <div style={{ fontSize: "12px", color: "#4a8c6a", textTransform: "uppercase", letterSpacing: "1px", fontWeight: 600 }}>
+          Preparedness Plan
+        </div>
+        <h1 style={{ fontSize: "26px", fontWeight: 700, margin: "4px 0" }}>
+          {nriData.county}, {nriData.state || location.stateName}
+        </h1>
+        <div style={{ fontSize: "13px", color: "#666" }}>
+          {location.matchedAddress} · {formatReportDate(Date.now())} · FEMA National Risk Index v{NRI_VERSION}
+        </div>
+      </header>
+      {plan.hazards.map((hazard) => (
+        <ReportSection key={hazard.id} title={`${hazard.label} · ${hazard.rating}`}>
+          {section(hazard.actions)}
+        </ReportSection>
+      ))}
+      <ReportSection title="Every household">{section(plan.general)}</ReportSection>
+      <div style={{ fontSize: "12px", color: "#666", lineHeight: 1.6 }}>
+        For educational and informational purposes only. Follow instructions from local emergency officials.
+      </div>
+    </div>
+  );
+}
+
+// ─── COMPARE ─────────────────────────────────────────────────────────
+
+const MAX_COMPARE_LOCATIONS = 5;
+
+// Row definitions for the comparison grid. `better` says which direction wins
+// when highlighting the best and worst location in each row. `customScore`
+// (from customIndexScorer) adds a row for the custom index.
+function buildCompareRows(entries, customScore = null) {
+  const loaded = entries.filter((e) => e.nriData);
+  const hazardRows = Object.entries(HAZARD_CONFIG)
+    .filter(([, config]) => loaded.some((e) => isHazardApplicable(e.nriData, config.key)))
+    .map(([id, config]) => ({
+      id,
+      label: `${config.icon} ${config.label}`,
+      better: "lower",
+      value: (nriData) => nriData?.[`${config.key}_RISKS`],
+      render: (nriData) => {
+        const score = nriData?.[`${config.key}_RISKS`];
+        const odds = frequencyToOdds(nriData?.[`${config.key}_APTS`], config.key);
+        return (
+          <>
+            <div style={{ fontWeight: 600, color: getRiskRating(score).color }}>{getRiskRating(score).label}</div>
+            <div style={{ fontSize: "12px", color: "#666" }}>{odds.text} / yr</div>
+          </>
+        );
+      },
+    }));
+
+  const indexRow = (id, label, field, better) => ({
+    id,
+    label,
+    better,
+    value: (nriData) => nriData?.[`${field}_SCORE`],
+    render: (nriData) => (
+      <>
+        <div style={{ fontWeight: 600, color: "#1e2e26" }}>{nriData?.[`${field}_SCORE`]?.toFixed(1) ?? "—"}</div>
+        <div style={{ fontSize: "12px", color: "#666" }}>{nriData?.[`${field}_RATNG`]}</div>
+      </>
+    ),
+  });
+
+  return [
+    {
+      id: "overall",
+      label: "Overall Risk",
+      better: "lower",
+      value: (nriData) => nriData?.RISK_SCORE,
+      render: (nriData) => (
+        <>
+          <RiskGauge score={nriData?.RISK_SCORE} size={100} />
+          <div style={{ fontSize: "12px", color: "#666" }}>{nriData?.RISK_RATNG}</div>
+        </>
+      ),
+    },
+    ...(customScore
+      ? [
+          {
+            id: "custom",
+            label: "Custom Index",
+            better: "lower",
+            value: (nriData) => customScore(nriData)?.score,
+            render: (nriData) => {
+              const score = customScore(nriData)?.score;
+              return (
+                <>
+                  <RiskGauge score={score} size={100} />
+                  <div style={{ fontSize: "12px", color: "#666" }}>{getRiskRating(score).label}</div>
+                </>
+              );
+            },
+          },
+        ]
+      : []),
+    ...hazardRows,
+    indexRow("sovi", "Social Vulnerability", "SOVI", "lower"),
+    indexRow("resl", "Community Resilience", "RESL", "higher"),
+  ];
+}
+
+// Returns the entry indexes holding the best and worst value in a row, or
+// nulls when fewer than two locations have differing data.
+function findExtremes(values, better) {
+  const numeric = values
+    .map((value, index) => ({ value, index }))
+    .filter(({ value }) => typeof value === "number" && value >= 0);
+  if (numeric.length < 2) return { best: null, worst: null };
+
+  const sorted = [...numeric].sort((a, b) => a.value - b.value);
+  const low = sorted[0];
+  const high = sorted[sorted.length - 1];
+  if (low.value === high.value) return { best: null, worst: null };
+
+  return better === "lower"
+    ? { best: low.index, worst: high.index }
+    : { best: high.index, worst: low.index };
+}
+
+// Looks up one compare entry and patches its result into the entries list.
+// Only the entry that started the lookup is patched, so a slow response for a
+// ZIP that was removed and added again can't overwrite the newer entry.
+async function resolveCompareEntry(entry, setEntries) {
+  const { signal } = entry.controller;
+  const update = (patch) =>
+    setEntries((current) => current.map((e) => (e.controller === entry.controller ? { ...e, ...patch } : e)));
+  try {
+    const { location, nriData } = await lookupZip(entry.zip, { signal });
+    update({ loading: false, location, nriData });
+  } catch (err) {
+    if (signal.aborted || isAbortError(err)) return;
+    update({ loading: false, error: describeError(err) });
+  }
+}
+
+// `controller` cancels the entry's lookup when it's removed
+function newCompareEntry(zip) {
+  return { zip, loading: true, error: null, location: null, nriData: null, controller: new AbortController() };
+}
+
+function CompareTab({ entries, setEntries, customScore = null }) {
+  const [zipInput, setZipInput] = useState("");
+  const [inputError, setInputError] = useState(null);
+
+  const addZip = () => {
+    const cleaned = zipInput.trim();
+    if (!/^\d{5}$/.test(cleaned)) {
+      setInputError("Please enter a valid 5-digit US ZIP code.");
+      return;
+    }
+    if (entries.some((e) => e.zip === cleaned)) {
+      setInputError(`ZIP ${cleaned} is already in the comparison.`);
+      return;
+    }
+    if (entries.length >= MAX_COMPARE_LOCATIONS) {
+      setInputError(`You can compare up to ${MAX_COMPARE_LOCATIONS} locations.`);
+      return;
+    }
+
+    setInputError(null);
+    setZipInput("");
+    const entry = newCompareEntry(cleaned);
+    setEntries((current) => [...current, entry]);
+    resolveCompareEntry(entry, setEntries);
+  };
+
+  const removeZip = (zip) => {
+    entries.find((e) => e.zip === zip)?.controller.abort();
+    setEntries((current) => current.filter((e) => e.zip !== zip));
+  };
+
+  const rows = buildCompareRows(entries, customScore);
+
+  return (
+    <div>
+      <div
+        style={{
+          background: "white",
+          borderRadius: "16px",
+          padding: "24px 28px",
+          marginBottom: "24px",
+          boxShadow: "0 2px 12px rgba(0,0,0,0.04)",
+          border: "1px solid #eee",
+        }}
+      >
+        <label style={{ display: "block", fontSize: "14px", fontWeight: 600, color: "#1e2e26", marginBottom: "10px" }}>
+          Add up to {MAX_COMPARE_LOCATIONS} ZIP codes to compare
+        </label>
+        <div style={{ display: "flex", gap: "10px" }}>
+          <input
+            type="text"
+            value={zipInput}
+            onChange={(e) => setZipInput(e.target.value.replace(/\D/g, "").slice(0, 5))}
+            onKeyDown={(e) => e.key === "Enter" && addZip()}
+            placeholder="e.g. 94103"
+            style={{
+              flex: 1,
+              padding: "12px 16px",
+              fontSize: "16px",
+              border: "2px solid #dde3df",
+              borderRadius: "10px",
+              outline: "none",
+              fontFamily: "'Space Mono', monospace",
+              letterSpacing: "2px",
+            }}
+          />
+          <button
+            onClick={addZip}
+            disabled={entries.length >= MAX_COMPARE_LOCATIONS}
+            style={{
+              padding: "12px 28px",
+              background: entries.length >= MAX_COMPARE_LOCATIONS ? "#b8c5bc" : "linear-gradient(135deg, #3d7a5a, #5a9e75)",
+              color: "white",
+              border: "none",
+              borderRadius: "10px",
+              fontSize: "15px",
+              fontWeight: 600,
+              cursor: entries.length >= MAX_COMPARE_LOCATIONS ? "not-allowed" : "pointer",
+              fontFamily: "inherit",
+              whiteSpace: "nowrap",
+            }}
+          >
+            Add Location
+          </button>
+        </div>
+        {inputError && (
+          <div
+            style={{
+              marginTop: "12px",
+              padding: "10px 16px",
+              background: "#fdf0ee",
+              border: "1px solid #c27a5a30",
+              borderRadius: "8px",
+              color: "#9e5a42",
+              fontSize: "14px",
+            }}
+          >
+            {inputError}
+          </div>
+        )}
+      </div>
+
+      {entries.length === 0 ? (
+        <div style={{ textAlign: "center", padding: "60px 20px", color: "#999" }}>
+          <div style={{ fontSize: "48px", marginBottom: "16px", opacity: 0.3 }}>⚖️</div>
+          <div style={{ fontSize: "16px", fontWeight: 500, marginBottom: "6px", color: "#666" }}>
+            Add two or more ZIP codes
+          </div>
+          <div style={{ fontSize: "14px" }}>
+            Compare overall risk, every hazard, and community indices side by side.
+          </div>
+        </div>
+      ) : (
+        <div style={{ background: "white", borderRadius: "16px", border: "1px solid #eee", overflowX: "auto", animation: "slideUp 0.5s ease" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "14px" }}>
+            <thead>
+              <tr>
+                <th style={{ padding: "14px 16px", textAlign: "left", borderBottom: "1px solid #eee" }} />
+                {entries.map((entry) => (
+                  <th key={entry.zip} style={{ padding: "14px 16px", textAlign: "center", borderBottom: "1px solid #eee", minWidth: "140px" }}>
+                    <div style={{ fontWeight: 600, color: "#1e2e26" }}>
+                      {entry.nriData ? `${entry.nriData.county}, ${entry.nriData.state || entry.location?.stateName}` : `ZIP ${entry.zip}`}
+                    </div>
+                    <div style={{ fontSize: "12px", color: "#999", fontWeight: 400 }}>
+                      ZIP {entry.zip}
+                      {entry.location && ` · FIPS ${entry.location.fips}`}
+                    </div>
+                    {entry.location?.counties.length > 1 && (
+                      <div style={{ fontSize: "11px", color: "#7a6c3a", fontWeight: 400 }}>
+                        ZIP split across {entry.location.counties.length} counties · largest shown
+                      </div>
+                    )}
+                    <button
+                      onClick={() => removeZip(entry.zip)}
+                      style={{ marginTop: "6px", background: "none", border: "none", color: "#9e5a42", fontSize: "12px", cursor: "pointer", fontFamily: "inherit" }}
+                    >
+                      Remove
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => {
+                const { best, worst } = findExtremes(entries.map((e) => (e.nriData ? row.value(e.nriData) : null)), row.better);
+                return (
+                  <tr key={row.id} style={{ borderTop: "1px solid #f0f0f0" }}>
+                    <td style={{ padding: "10px 16px", fontWeight: 500, color: "#1e2e26", whiteSpace: "nowrap" }}>{row.label}</td>
+                    {entries.map((entry, index) => (
+                      <td
+                        key={entry.zip}
+                        style={{
+                          padding: "10px 16px",
+                          textAlign: "center",
+                          background: index === best ? "#eef6f1" : index === worst ? "#f7efed" : "transparent",
+                          boxShadow: index === best ? "inset 0 0 0 2px #4a8c6a40" : index === worst ? "inset 0 0 0 2px #b85c4a40" : "none",
+                        }}
+                      >
+                        {entry.loading ? (
+                          <span style={{ color: "#999", animation: "pulse 1.5s ease infinite" }}>Loading…</span>
+                        ) : entry.error ? (
+                          row.id === "overall" ? <span style={{ color: "#9e5a42", fontSize: "12px" }}>{entry.error}</span> : "—"
+                        ) : (
+                          row.render(entry.nriData)
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ padding: "12px 16px", fontSize: "12px", color: "#888", borderTop: "1px solid #f0f0f0" }}>
+            <span style={{ color: "#4a8c6a", fontWeight: 600 }}>Green</span> marks the best location in each row and{" "}
+            <span style={{ color: "#b85c4a", fontWeight: 600 }}>red</span> the worst. Lower is better for risk and social
+            vulnerability; higher is better for community resilience.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── EXPLORER ────────────────────────────────────────────────────────
+// Browse county scores without a search: pick a state (or the whole country)
+// and a hazard, then sort, filter by rating band and page through. Uses the
+// same score tables as the rankings (loadNRIScores).
+
+const EXPLORER_PAGE_SIZE = 25;
+
+const DEFAULT_EXPLORER_VIEW = { state: "", hazard: "", ratings: [], text: "", sort: { key: "risk", descending: true }, page: 0 };
+
+// Sortable score columns; `field` is the NRI field for a hazard key, or the composite without one
+const EXPLORER_MEASURES = {
+  risk: { label: "Risk", field: (key) => (key ? `${key}_RISKS` : "RISK_SCORE") },
+  eal: { label: "Expected Loss", field: (key) => (key ? `${key}_EALS` : "EAL_SCORE") },
+  sovi: { label: "Social Vulnerability", field: () => "SOVI_SCORE" },
+  resl: { label: "Resilience", field: () => "RESL_SCORE" },
+};
+
+const scoreOrNull = (value) => (typeof value === "number" && value >= 0 ? value : null);
+
+// `customScore` (from customIndexScorer) adds a sortable custom index column
+function ExplorerTab({ view, onChange, onOpenCounty, customScore = null }) {
+  const [states, setStates] = useState([]);
+  const [table, setTable] = useState({ loading: true, records: [], error: null });
+
+  useEffect(() => {
+    loadCountyAtlas()
+      .then((atlas) => setStates([...atlas.stateNames].sort((a, b) => a[1].localeCompare(b[1]))))
+      .catch(() => setStates([]));
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setTable((t) => ({ ...t, loading: true, error: null }));
+    loadNRIScores(view.state || null, { signal: controller.signal })
+      .then(({ value }) => setTable({ loading: false, records: value, error: null }))
+      .catch((err) => {
+        if (controller.signal.aborted || isAbortError(err)) return;
+        setTable({ loading: false, records: [], error: describeError(err) });
+      });
+    return () => controller.abort();
+  }, [view.state]);
+
+  const update = (changes) => onChange({ ...view, page: 0, ...changes });
+  const hazardKey = view.hazard ? HAZARD_CONFIG[view.hazard].key : null;
+  const national = !view.state;
+
+  const rows = table.records
+    .filter((record) => !hazardKey || isHazardApplicable(record, hazardKey))
+    .map((record) => {
+      const row = { fips: record.stateCode + record.countyCode, county: record.county, state: record.state };
+      for (const [id, measure] of Object.entries(EXPLORER_MEASURES)) row[id] = scoreOrNull(record[measure.field(hazardKey)]);
+      row.rating = getRiskRating(row.risk);
+      row.custom = customScore ? scoreOrNull(customScore(record)?.score) : null;
+      return row;
+    })
+    .filter((row) => view.ratings.length === 0 || view.ratings.includes(row.rating.label))
+    .filter((row) => !view.text || `${row.county} ${row.state}`.toLowerCase().includes(view.text.toLowerCase()));
+
+  const { descending } = view.sort;
+  const sortKey = view.sort.key === "custom" && !customScore ? "risk" : view.sort.key;
+  rows.sort((a, b) => {
+    if (sortKey === "county") return (descending ? -1 : 1) * `${a.county}${a.state}`.localeCompare(`${b.county}${b.state}`);
+    // Counties without a score go last either way
+    if (a[sortKey] === null || b[sortKey] === null) return (a[sortKey] === null) - (b[sortKey] === null);
+    return descending ? b[sortKey] - a[sortKey] : a[sortKey] - b[sortKey];
+  });
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / EXPLORER_PAGE_SIZE));
+  const page = Math.min(view.page, pageCount - 1);
+  const visible = rows.slice(page * EXPLORER_PAGE_SIZE, (page + 1) * EXPLORER_PAGE_SIZE);
+
+  const toggleSort = (key) =>
+    update({ sort: { key, descending: sortKey === key ? !descending : key !== "county" } });
+  const toggleRating = (label) =>
+    update({ ratings: view.ratings.includes(label) ? view.ratings.filter((r) => r !== label) : [...view.ratings, label] });
+
+  const selectStyle = { padding: "8px 10px", border: "1px solid #dde3df", borderRadius: "8px", fontSize: "13px", fontFamily: "inherit", background: "white" };
+  const pageButtonStyle = (disabled) => ({ ...selectStyle, cursor: disabled ? "default" : "pointer", opacity: disabled ? 0.4 : 1 });
+  const headerCell = (key, label, align = "left") => (
+    <th
+      onClick={() => toggleSort(key)}
+      style={{ padding: "10px 12px", textAlign: align, fontSize: "12px", color: "#666", fontWeight: 600, cursor: "pointer", whiteSpace: "nowrap", userSelect: "none" }}
+    >
+      {label}
+      {sortKey === key ? (descending ? " ▼" : " ▲") : ""}
+    </th>
+  );
+
+  return (
+    <div style={{ background: "white", borderRadius: "16px", border: "1px solid #eee" }}>
+      {/* Filters */}
+      <div style={{ display: "flex", gap: "10px", flexWrap: "wrap", padding: "18px 20px 10px", alignItems: "center" }}>
+        <select value={view.state} onChange={(e) => update({ state: e.target.value })} style={selectStyle} aria-label="State">
+          <option value="">All states</option>
+          {states.map(([code, name]) => (
+            <option key={code} value={code}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <select value={view.hazard} onChange={(e) => update({ hazard: e.target.value })} style={selectStyle} aria-label="Hazard">
+          <option value="">All hazards (composite scores)</option>
+          {Object.entries(HAZARD_CONFIG).map(([id, config]) => (
+            <option key={id} value={id}>
+              {config.icon} {config.label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="search"
+          value={view.text}
+          onChange={(e) => update({ text: e.target.value })}
+          placeholder="Filter by county name"
+          style={{ ...selectStyle, flex: 1, minWidth: "160px" }}
+        />
+      </div>
+      <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", padding: "0 20px 14px", borderBottom: "1px solid #f0f0f0" }}>
+        {RISK_RATINGS.map((rating) => {
+          const active = view.ratings.includes(rating.label);
+          return (
+            <button
+              key={rating.label}
+              onClick={() => toggleRating(rating.label)}
+              style={{
+                padding: "4px 12px",
+                borderRadius: "20px",
+                border: `1px solid ${active ? rating.color : "#e0e0e0"}`,
+                background: active ? rating.bg : "white",
+                color: active ? rating.color : "#888",
+                fontSize: "12px",
+                fontWeight: 600,
+                cursor: "pointer",
+                fontFamily: "inherit",
+              }}
+            >
+              {rating.label}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Table */}
+      {table.error ? (
+        <div style={{ padding: "24px", textAlign: "center", color: "#9e5a42", fontSize: "14px" }}>{table.error}</div>
+      ) : table.loading ? (
+        <div style={{ padding: "40px", textAlign: "center", color: "#999", fontSize: "14px", animation: "pulse 1.5s ease infinite" }}>
+          Loading county scores…
+        </div>
+      ) : (
+        <>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+              <thead>
+                <tr style={{ boxShadow: "0 1px 0 #eee" }}>
+                  <th style={{ padding: "10px 12px", textAlign: "left", fontSize: "12px", color: "#666", fontWeight: 600 }}>#</th>
+                  {headerCell("county", "County")}
+                  {headerCell("risk", view.hazard ? `${HAZARD_CONFIG[view.hazard].label} Risk` : "Risk", "right")}
+                  <th style={{ padding: "10px 12px", textAlign: "left", fontSize: "12px", color: "#666", fontWeight: 600 }}>Rating</th>
+                  {headerCell("eal", "Expected Loss", "right")}
+                  {headerCell("sovi", "Social Vuln.", "right")}
+                  {headerCell("resl", "Resilience", "right")}
+                  {customScore && headerCell("custom", "Custom Index", "right")}
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((row, i) => (
+                  <tr
+                    key={row.fips}
+                    onClick={() => onOpenCounty(row.fips, view.hazard || null)}
+                    style={{ borderTop: "1px solid #f5f5f5", cursor: "pointer" }}
+                    title="Open this county's full results"
+                  >
+                    <td style={{ padding: "8px 12px", color: "#999" }}>{page * EXPLORER_PAGE_SIZE + i + 1}</td>
+                    <td style={{ padding: "8px 12px", color: "#1e2e26" }}>
+                      {row.county}
+                      {national && <span style={{ color: "#999" }}>, {row.state}</span>}
+                    </td>
+                    <td style={{ padding: "8px 12px", textAlign: "right", fontWeight: 600, color: row.risk !== null ? row.rating.color : "#ccc" }}>
+                      {row.risk !== null ? row.risk.toFixed(1) : "—"}
+                    </td>
+                    <td style={{ padding: "8px 12px", color: "#555", whiteSpace: "nowrap" }}>{row.risk !== null ? row.rating.label : ""}</td>
+                    {["eal", "sovi", "resl"].map((id) => (
+                      <td key={id} style={{ padding: "8px 12px", textAlign: "right", color: "#555" }}>
+                        {row[id] !== null ? row[id].toFixed(1) : "—"}
+                      </td>
+                    ))}
+                    {customScore && (
+                      <td style={{ padding: "8px 12px", textAlign: "right", fontWeight: 600, color: row.custom !== null ? getRiskRating(row.custom).color : "#ccc" }}>
+                        {row.custom !== null ? row.custom.toFixed(1) : "—"}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {visible.length === 0 && (
+              <div style={{ padding: "24px", textAlign: "center", color: "#999", fontSize: "14px" }}>No counties match these filters.</div>
+            )}
+          </div>
+
+          {/* Pagination */}
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "12px 20px", borderTop: "1px solid #f0f0f0", fontSize: "13px", color: "#666" }}>
+            <span>
+              {rows.length ? `${page * EXPLORER_PAGE_SIZE + 1}–${page * EXPLORER_PAGE_SIZE + visible.length} of ${rows.length.toLocaleString()} counties` : "0 counties"}
+            </span>
+            <div style={{ display: "flex", gap: "6px", alignItems: "center" }}>
+              <button onClick={() => onChange({ ...view, page: page - 1 })} disabled={page === 0} style={pageButtonStyle(page === 0)}>
+                ← Prev
+              </button>
+              <span>
+                Page {page + 1} of {pageCount}
+              </span>
+              <button
+                onClick={() => onChange({ ...view, page: page + 1 })}
+                disabled={page >= pageCount - 1}
+                style={pageButtonStyle(page >= pageCount - 1)}
+              >
+                Next →
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── BATCH ───────────────────────────────────────────────────────────
+// Scores an uploaded CSV of ZIPs or addresses with the same pipeline as a
+// single search. Rows are flattened with src/batch.js, so the download has the
+// same columns as the CLI's output.
+
+const MAX_BATCH_ROWS = 1000;
+const BATCH_CONCURRENCY = 3;
+const BATCH_HORIZONS = [1, 5, 10, 30];
+
+const BATCH_STATUS_STYLES = {
+  pending: { label: "Pending", color: "#999" },
+  ok: { label: "Scored", color: "#4a8c6a" },
+  invalid: { label: "Invalid", color: "#9e5a42" },
+  error: { label: "Failed", color: "#c48a4d" },
+};
+
+function downloadFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function newBatchJob(fileName, records, column, horizonYears) {
+  return {
+    fileName,
+    column,
+    horizonYears,
+    running: true,
+    rows: records.map((record, i) => ({ row: i + 1, query: (record[column] || "").trim(), status: "pending", record: null })),
+  };
+}
+
+// Scores the job's pending rows a few at a time, patching each result into
+// the job as it arrives. Counties shared by several rows are fetched once.
+async function runBatchJob(job, setJob, signal) {
+  const nriCache = new Map();
+  const queue = job.rows.filter((r) => r.status === "pending");
+  const update = (patch) =>
+    setJob((current) => current && { ...current, rows: current.rows.map((r) => (r.row === patch.row ? { ...r, ...patch } : r)) });
+
+  const worker = async () => {
+    while (queue.length && !signal.aborted) {
+      const { row, query } = queue.shift();
+      const invalid = validateBatchQuery(query);
+      let record;
+      if (invalid) {
+        record = errorRow(row, query, invalid);
+      } else {
+        try {
+          record = assessmentRow(row, query, await assessLocation(query, { signal, horizonYears: job.horizonYears, nriCache }));
+        } catch (err) {
+          if (isAbortError(err)) return;
+          record = errorRow(row, query, err);
+        }
+      }
+      update({ row, status: record.status, record });
+    }
+  };
+
+  await Promise.all(Array.from({ length: BATCH_CONCURRENCY }, worker));
+  if (!signal.aborted) setJob((current) => current && { ...current, running: false });
+}
+
+function batchValue(row, measure) {
+  const prefix = measure === "overall" ? "risk" : measure;
+  return { score: row.record?.[`${prefix}_score`] ?? null, rating: row.record?.[`${prefix}_rating`] ?? null };
+}
+
+// Higher index = higher risk; ratings outside the scale (Not Applicable, No Rating) rank below all
+function ratingRank(rating) {
+  return RISK_RATINGS.findIndex((r) => r.label === rating);
+}
+
+const BATCH_SORTS = {
+  row: (a, b) => a.row - b.row,
+  query: (a, b) => a.query.localeCompare(b.query),
+  county: (a, b) => (a.record?.county_name || "").localeCompare(b.record?.county_name || ""),
+  status: (a, b) => a.status.localeCompare(b.status),
+};
+
+function BatchTab({ job, onStart, onCancel, onRetry }) {
+  const [upload, setUpload] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+  const [horizonYears, setHorizonYears] = useState(1);
+  const [measure, setMeasure] = useState("overall");
+  const [minRating, setMinRating] = useState("");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [textFilter, setTextFilter] = useState("");
+  const [sort, setSort] = useState({ key: "row", descending: false });
+
+  const handleFile = async (file) => {
+    setUploadError(null);
+    setUpload(null);
+    if (!file) return;
+    const { columns, records } = parseCSVRecords(await file.text());
+    if (columns.length === 0 || records.length === 0) {
+      setUploadError("That file has no rows. Upload a CSV with a header row and one ZIP code or address per row.");
+      return;
+    }
+    if (records.length > MAX_BATCH_ROWS) {
+      setUploadError(`That file has ${records.length} rows; the web app scores up to ${MAX_BATCH_ROWS}. Use the command-line tool for larger portfolios.`);
+      return;
+    }
+    setUpload({ fileName: file.name, columns, records, column: findQueryColumn(columns) });
+  };
+
+  const start = () => {
+    onStart(newBatchJob(upload.fileName, upload.records, upload.column, horizonYears));
+    setUpload(null);
+  };
+
+  const rows = job?.rows || [];
+  const counts = rows.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+  const finished = rows.length - (counts.pending || 0);
+
+  const toggleSort = (key) =>
+    setSort((current) => ({ key, descending: current.key === key ? !current.descending : key === "score" }));
+
+  const needle = textFilter.trim().toLowerCase();
+  const visible = rows
+    .filter((r) => statusFilter === "all" || (statusFilter === "ok" ? r.status === "ok" : r.status === "invalid" || r.status === "error"))
+    .filter((r) => !minRating || ratingRank(batchValue(r, measure).rating) >= ratingRank(minRating))
+    .filter((r) => !needle || `${r.query} ${r.record?.county_name || ""} ${r.record?.state || ""}`.toLowerCase().includes(needle));
+  const compare =
+    sort.key === "score"
+      ? (a, b) => (batchValue(a, measure).score ?? -1) - (batchValue(b, measure).score ?? -1) || a.row - b.row
+      : BATCH_SORTS[sort.key];
+  visible.sort(sort.descending ? (a, b) => compare(b, a) : compare);
+
+  const download = () => {
+    const records = rows.map((r) => r.record ?? { row: r.row, query: r.query, status: "pending" });
+    downloadFile(`${job.fileName.replace(/\.csv$/i, "")}-risk.csv`, toCSV(BATCH_COLUMNS, records), "text/csv");
+  };
+
+  const measureLabel = measure === "overall" ? "Overall risk" : HAZARD_CONFIG[measure].label;
+  const selectStyle = { padding: "8px 10px", border: "1px solid #dde3df", borderRadius: "8px", fontSize: "13px", fontFamily: "inherit", background: "white" };
+  const buttonStyle = {
+    padding: "10px 22px",
+    background: "linear-gradient(135deg, #3d7a5a, #5a9e75)",
+    color: "white",
+    border: "none",
+    borderRadius: "10px",
+    fontSize: "14px",
+    fontWeight: 600,
+    cursor: "pointer",
+    fontFamily: "inherit",
+  };
+  const headerCell = (key, label, align = "left") => (
+    <th
+      onClick={() => toggleSort(key)}
+      style={{ padding: "10px 12px", textAlign: align, fontSize: "12px", color: "#666", fontWeight: 600, cursor: "pointer", whiteSpace: "nowrap", userSelect: "none" }}
     >
-      <div style={{ display: "flex", alignItems: "center", gap: "24px", flexWrap: "wrap" }}>
-        <RiskGauge score={overallScore} size={160} />
-        <div style={{ flex: 1, minWidth: "200px" }}>
-          <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "4px" }}>
-            Overall Community Risk
-          </div>
-          <div style={{ fontSize: "28px", fontWeight: 700, color: rating.color, marginBottom: "4px" }}>
-            {overallRating || rating.label}
+      {label}
+      {sort.key === key ? (sort.descending ? " ▼" : " ▲") : ""}
+    </th>
+  );
+
+  return (
+    <div>
+      <div
+        style={{
+          background: "white",
+          borderRadius: "16px",
+          padding: "24px 28px",
+          marginBottom: "24px",
+          boxShadow: "0 2px 12px rgba(0,0,0,0.04)",
+          border: "1px solid #eee",
+        }}
+      >
+        <label style={{ display: "block", fontSize: "14px", fontWeight: 600, color: "#1e2e26", marginBottom: "6px" }}>
+          Score a list of locations
+        </label>
+        <p style={{ fontSize: "13px", color: "#777", marginBottom: "14px", lineHeight: 1.5 }}>
+          Upload a CSV with a header row and one ZIP code, street address, "City, ST" or "lat, lng" per row (up to{" "}
+          {MAX_BATCH_ROWS} rows). Other columns are ignored.
+        </p>
+        <input type="file" accept=".csv,text/csv" onChange={(e) => handleFile(e.target.files[0])} disabled={job?.running} />
+
+        {upload && (
+          <div style={{ display: "flex", gap: "12px", alignItems: "center", flexWrap: "wrap", marginTop: "16px" }}>
+            <span style={{ fontSize: "13px", color: "#555" }}>
+              {upload.records.length} rows · location column
+            </span>
+            <select value={upload.column} onChange={(e) => setUpload({ ...upload, column: e.target.value })} style={selectStyle}>
+              {upload.columns.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <span style={{ fontSize: "13px", color: "#555" }}>odds over</span>
+            <select value={horizonYears} onChange={(e) => setHorizonYears(Number(e.target.value))} style={selectStyle}>
+              {BATCH_HORIZONS.map((years) => (
+                <option key={years} value={years}>
+                  {years} {years === 1 ? "year" : "years"}
+                </option>
+              ))}
+            </select>
+            <button onClick={start} style={buttonStyle}>
+              Score {upload.records.length} locations
+            </button>
           </div>
-          <div style={{ fontSize: "14px", color: "#666", lineHeight: 1.5 }}>
-            This composite score accounts for expected annual loss across all 18 natural hazards,
-            adjusted for social vulnerability and community resilience.
+        )}
+
+        {uploadError && (
+          <div
+            style={{
+              marginTop: "12px",
+              padding: "10px 16px",
+              background: "#fdf0ee",
+              border: "1px solid #c27a5a30",
+              borderRadius: "8px",
+              color: "#9e5a42",
+              fontSize: "14px",
+            }}
+          >
+            {uploadError}
           </div>
-          
-          <div style={{ display: "flex", gap: "16px", marginTop: "16px", flexWrap: "wrap" }}>
-            {[
-              { label: "Expected Loss", value: ealScore, rating: nriData?.EAL_RATNG },
-              { label: "Social Vulnerability", value: soviScore, rating: nriData?.SOVI_RATNG },
-              { label: "Community Resilience", value: reslScore, rating: nriData?.RESL_RATNG },
-            ].map((item) => (
+        )}
+      </div>
+
+      {!job ? (
+        <div style={{ textAlign: "center", padding: "60px 20px", color: "#999" }}>
+          <div style={{ fontSize: "48px", marginBottom: "16px", opacity: 0.3 }}>📋</div>
+          <div style={{ fontSize: "16px", fontWeight: 500, marginBottom: "6px", color: "#666" }}>Upload a CSV to get started</div>
+          <div style={{ fontSize: "14px" }}>Every row gets an overall score plus each hazard's score, rating and odds.</div>
+        </div>
+      ) : (
+        <div style={{ background: "white", borderRadius: "16px", border: "1px solid #eee", animation: "slideUp 0.5s ease" }}>
+          {/* Progress */}
+          <div style={{ padding: "18px 20px", borderBottom: "1px solid #f0f0f0" }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px", flexWrap: "wrap" }}>
+              <div style={{ fontSize: "14px", color: "#1e2e26" }}>
+                <strong>{job.fileName}</strong> · {finished} of {rows.length} done
+                {["ok", "invalid", "error"].map(
+                  (status) =>
+                    counts[status] > 0 && (
+                      <span key={status} style={{ marginLeft: "10px", fontSize: "13px", color: BATCH_STATUS_STYLES[status].color }}>
+                        {counts[status]} {BATCH_STATUS_STYLES[status].label.toLowerCase()}
+                      </span>
+                    )
+                )}
+              </div>
+              <div style={{ display: "flex", gap: "8px" }}>
+                {job.running ? (
+                  <button onClick={onCancel} style={{ ...buttonStyle, background: "#b8c5bc" }}>
+                    Cancel
+                  </button>
+                ) : counts.pending > 0 ? (
+                  <button onClick={onRetry} style={buttonStyle}>
+                    Resume ({counts.pending + (counts.error || 0)} left)
+                  </button>
+                ) : (
+                  counts.error > 0 && (
+                    <button onClick={onRetry} style={{ ...buttonStyle, background: "#c48a4d" }}>
+                      Retry {counts.error} failed
+                    </button>
+                  )
+                )}
+                <button onClick={download} disabled={finished === 0} style={{ ...buttonStyle, opacity: finished === 0 ? 0.5 : 1 }}>
+                  Download CSV
+                </button>
+              </div>
+            </div>
+            <div style={{ height: "6px", background: "#eef2ef", borderRadius: "3px", marginTop: "12px", overflow: "hidden" }}>
               <div
-                key={item.label}
                 style={{
-                  padding: "8px 14px",
-                  background: "white",
-                  borderRadius: "10px",
-                  border: "1px solid #e8e8e8",
+                  width: `${rows.length ? (finished / rows.length) * 100 : 0}%`,
+                  height: "100%",
+                  background: "linear-gradient(90deg, #3d7a5a, #7ab88a)",
+                  transition: "width 0.3s ease",
                 }}
-              >
-                <div style={{ fontSize: "11px", color: "#999" }}>{item.label}</div>
-                <div style={{ fontSize: "15px", fontWeight: 600, color: "#1e2e26" }}>
-                  {item.value?.toFixed(1) ?? "—"} <span style={{ fontSize: "11px", color: "#999", fontWeight: 400 }}>{item.rating}</span>
-                </div>
-              </div>
-            ))}
+              />
+            </div>
+          </div>
+
+          {/* Filters */}
+          <div style={{ display: "flex", gap: "10px", flexWrap: "wrap", padding: "14px 20px", borderBottom: "1px solid #f0f0f0", alignItems: "center" }}>
+            <select value={measure} onChange={(e) => setMeasure(e.target.value)} style={selectStyle} aria-label="Score to show">
+              <option value="overall">Overall risk (RISK_SCORE)</option>
+              {Object.entries(HAZARD_CONFIG).map(([id, config]) => (
+                <option key={id} value={id}>
+                  {config.icon} {config.label}
+                </option>
+              ))}
+            </select>
+            <select value={minRating} onChange={(e) => setMinRating(e.target.value)} style={selectStyle} aria-label="Minimum rating">
+              <option value="">Any rating</option>
+              {RISK_RATINGS.map((r) => (
+                <option key={r.label} value={r.label}>
+                  {r.label}
+                  {r.label !== "Very High" ? " or higher" : ""}
+                </option>
+              ))}
+            </select>
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} style={selectStyle} aria-label="Status">
+              <option value="all">All rows</option>
+              <option value="ok">Scored only</option>
+              <option value="problems">Errors only</option>
+            </select>
+            <input
+              type="search"
+              value={textFilter}
+              onChange={(e) => setTextFilter(e.target.value)}
+              placeholder="Filter by location or county"
+              style={{ ...selectStyle, flex: 1, minWidth: "160px" }}
+            />
+          </div>
+
+          {/* Results */}
+          <div style={{ overflowX: "auto", maxHeight: "600px", overflowY: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+              <thead style={{ position: "sticky", top: 0, background: "white", boxShadow: "0 1px 0 #eee" }}>
+                <tr>
+                  {headerCell("row", "#")}
+                  {headerCell("query", "Location")}
+                  {headerCell("county", "County")}
+                  {headerCell("score", measureLabel, "right")}
+                  <th style={{ padding: "10px 12px", textAlign: "left", fontSize: "12px", color: "#666", fontWeight: 600 }}>Rating</th>
+                  {measure !== "overall" && (
+                    <th style={{ padding: "10px 12px", textAlign: "right", fontSize: "12px", color: "#666", fontWeight: 600, whiteSpace: "nowrap" }}>
+                      {job.horizonYears === 1 ? "Annual odds" : `${job.horizonYears}-yr odds`}
+                    </th>
+                  )}
+                  {headerCell("status", "Status")}
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((r) => {
+                  const { score, rating } = batchValue(r, measure);
+                  const odds = measure !== "overall" ? r.record?.[`${measure}_horizon_odds`] : null;
+                  return (
+                    <tr key={r.row} style={{ borderTop: "1px solid #f5f5f5" }}>
+                      <td style={{ padding: "8px 12px", color: "#999" }}>{r.row}</td>
+                      <td style={{ padding: "8px 12px", color: "#1e2e26", maxWidth: "220px", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                        {r.query || <em style={{ color: "#bbb" }}>empty</em>}
+                      </td>
+                      <td style={{ padding: "8px 12px", color: "#555" }}>
+                        {r.record?.county_name ? `${r.record.county_name}, ${r.record.state}` : ""}
+                      </td>
+                      <td style={{ padding: "8px 12px", textAlign: "right", fontWeight: 600, color: score !== null ? getRiskRating(score).color : "#ccc" }}>
+                        {score !== null ? Number(score).toFixed(1) : "—"}
+                      </td>
+                      <td style={{ padding: "8px 12px", color: "#555", whiteSpace: "nowrap" }}>{rating || ""}</td>
+                      {measure !== "overall" && (
+                        <td style={{ padding: "8px 12px", textAlign: "right", color: "#555" }}>
+                          {odds !== null && odds !== undefined ? formatProbability(Number(odds)) : "—"}
+                        </td>
+                      )}
+                      <td style={{ padding: "8px 12px", fontSize: "12px", color: BATCH_STATUS_STYLES[r.status].color }}>
+                        {r.status === "pending" && job.running ? (
+                          <span style={{ animation: "pulse 1.5s ease infinite" }}>Scoring…</span>
+                        ) : (
+                          BATCH_STATUS_STYLES[r.status].label
+                        )}
+                        {r.record?.error && <div style={{ color: "#9e5a42", maxWidth: "260px" }}>{r.record.error}</div>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {visible.length === 0 && (
+              <div style={{ padding: "24px", textAlign: "center", color: "#999", fontSize: "14px" }}>No rows match these filters.</div>
+            )}
           </div>
         </div>
-      </div>
+      )}
     </div>
   );
 }
@@ -467,10 +3010,23 @@ function MethodologyTab() {
           📍 Location Resolution
         </h3>
         <p style={{ color: "#555", lineHeight: 1.7, fontSize: "15px" }}>
-          When you enter a ZIP code, we use the <strong>US Census Bureau Geocoder</strong> to identify the county
-          associated with that ZIP code. Risk data is then retrieved at the county level from FEMA's NRI dataset.
+          You can search by ZIP code, street address, "City, ST", or a latitude/longitude pair. ZIP codes are looked
+          up in the Census Bureau's <strong>ZCTA-to-county relationship file</strong> when the site ships with it, and
+          otherwise located, like cities, with Zippopotam.us and the <strong>FCC Area API</strong>; street addresses are matched by the{" "}
+          <strong>US Census Bureau Geocoder</strong>; coordinates go straight to the FCC Area API. The results show the
+          address or place we matched so you can confirm the right location was scored. Risk data is then retrieved at
+          the county level from FEMA's NRI dataset.
           Note that risk can vary within a county — this provides a county-level baseline assessment.
         </p>
+        <p style={{ color: "#555", lineHeight: 1.7, fontSize: "15px", marginTop: "8px" }}>
+          Some ZIP codes cross county lines. We overlay the ZIP's Census boundary (ZCTA) on county boundaries from
+          the Census Bureau's TIGERweb service to estimate each county's share of the ZIP's area. You can then view
+          a single county, or a blend where every figure is the share-weighted average of the counties' values.
+        </p>
+        <p style={{ color: "#555", lineHeight: 1.7, fontSize: "15px", marginTop: "8px" }}>
+          For neighborhood detail, the <strong>Census Tract</strong> panel finds the tract containing the ZIP's center
+          point (or the exact point of a street address or coordinates you searched) and loads FEMA's tract-level NRI data for comparison with the county.
+        </p>
       </div>
 
       <div style={{ marginBottom: "32px" }}>
@@ -481,7 +3037,7 @@ function MethodologyTab() {
           Each hazard receives a <strong>Risk Score</strong> from 0 to 100, calculated using three components:
         </p>
         <ul style={{ color: "#555", lineHeight: 1.9, fontSize: "15px", paddingLeft: "20px", marginTop: "8px" }}>
-          <li><strong>Expected Annual Loss (EAL)</strong> — The average dollar amount of damage expected per year, derived from historical loss data, hazard frequency, and exposure analysis.</li>
+          <li><strong>Expected Annual Loss (EAL)</strong> — The average dollar amount of damage expected per year, derived from historical loss data, hazard frequency, and exposure analysis. We show EAL in dollars for buildings, population (converted to dollars using FEMA's value of statistical life), and agriculture, along with the loss ratio — EAL divided by the dollar value exposed to the hazard.</li>
           <li><strong>Social Vulnerability</strong> — A measure of how susceptible the community is to adverse impacts, based on demographics, socioeconomic factors, and household characteristics.</li>
           <li><strong>Community Resilience</strong> — How well the community can recover, based on infrastructure, civic capacity, institutional resources, and economic factors.</li>
         </ul>
@@ -491,15 +3047,49 @@ function MethodologyTab() {
         </p>
       </div>
 
+      <div style={{ marginBottom: "32px" }}>
+        <h3 style={{ fontSize: "18px", fontWeight: 600, color: "#1e2e26", marginBottom: "10px" }}>
+          🎚️ Custom Index
+        </h3>
+        <p style={{ color: "#555", lineHeight: 1.7, fontSize: "15px" }}>
+          The NRI's Risk score weights hazards by modeled dollar loss. The custom index instead takes a weighted average
+          of the 18 hazard risk scores with weights from 0 to {MAX_WEIGHT} that you choose; a hazard that doesn't apply to
+          a county counts as 0. Optionally, social vulnerability scales the result by 0.5× to 1.5× (higher vulnerability
+          raises it) and community resilience by 1.5× to 0.5× (higher resilience lowers it).
+        </p>
+        <p style={{ color: "#555", lineHeight: 1.7, fontSize: "15px", marginTop: "8px" }}>
+          Like the NRI scores, the result is then expressed as a percentile: the share of all US counties with a lower
+          weighted average under the same weights. Ratings use the same bands as the NRI scores. The index is a way to
+          explore priorities, not a FEMA product.
+        </p>
+      </div>
+
       <div style={{ marginBottom: "32px" }}>
         <h3 style={{ fontSize: "18px", fontWeight: 600, color: "#1e2e26", marginBottom: "10px" }}>
           🎲 Probability Estimates
         </h3>
         <p style={{ color: "#555", lineHeight: 1.7, fontSize: "15px" }}>
-          The "annual probability" estimates shown are <strong>approximate ranges</strong> derived from NRI risk scores.
-          NRI scores are relative indices, not direct probabilities. We map score ranges to approximate probability
-          bands based on FEMA's underlying frequency and exposure data. These estimates indicate the relative likelihood
-          of experiencing a significant event in a given year, not an exact probability.
+          The "annual probability" shown for each hazard is derived from the NRI's <strong>annualized frequency</strong> —
+          the average number of events (or event-days) per year recorded for the county over each hazard's period of record.
+          We convert that rate to the chance of at least one occurrence in a year using a Poisson model:
+        </p>
+        <p style={{ color: "#555", lineHeight: 1.7, fontSize: "15px", marginTop: "8px" }}>
+          <code style={{ background: "#f0f0f0", padding: "2px 8px", borderRadius: "4px" }}>P = 1 − e^(−annualized frequency)</code>
+        </p>
+        <ul style={{ color: "#555", lineHeight: 1.9, fontSize: "15px", paddingLeft: "20px", marginTop: "8px" }}>
+          <li><strong>Earthquake and wildfire</strong> frequencies are already annual probabilities (ground-motion exceedance and burn probability), so they are used as-is.</li>
+          <li><strong>Flooding, drought, hail, heat and cold waves, ice storms, strong wind, and winter weather</strong> are counted in event-days, so multi-day events are counted more than once. For these hazards the figure is an upper bound.</li>
+          <li>Risk scores and ratings do not affect the probability. A high score can reflect a rare but costly hazard.</li>
+        </ul>
+        <p style={{ color: "#555", lineHeight: 1.7, fontSize: "15px", marginTop: "8px" }}>
+          The probability describes the hazard occurring somewhere in the county, not damage to a specific property.
+          Each expanded hazard card shows the frequency and formula behind its figure.
+        </p>
+        <p style={{ color: "#555", lineHeight: 1.7, fontSize: "15px", marginTop: "8px" }}>
+          For longer time horizons (such as a 30-year mortgage), the annual probability is compounded as{" "}
+          <code style={{ background: "#f0f0f0", padding: "2px 8px", borderRadius: "4px" }}>1 − (1 − P)^years</code>.
+          The "any of these hazards" figure combines hazards as if they were independent, which overstates the
+          combined chance where hazards tend to strike together.
         </p>
         <div style={{ background: "#faf5e8", border: "1px solid #d4c68e", borderRadius: "10px", padding: "14px 18px", marginTop: "12px" }}>
           <strong style={{ color: "#7a6c3a" }}>⚠️ Important:</strong>
@@ -540,9 +3130,11 @@ function MethodologyTab() {
         </h3>
         <ul style={{ color: "#555", lineHeight: 1.9, fontSize: "15px", paddingLeft: "20px" }}>
           <li><strong>FEMA National Risk Index v1.20</strong> (December 2025) — Primary risk dataset</li>
-          <li><strong>US Census Bureau Geocoder</strong> — ZIP code to county resolution</li>
+          <li><strong>US Census Bureau Geocoder</strong> — Street address and census tract resolution</li>
+          <li><strong>Zippopotam.us & FCC Area API</strong> — ZIP code, city, and coordinate to county resolution</li>
           <li><strong>USGS</strong> — Seismic hazard, wildfire, landslide, and volcanic data</li>
           <li><strong>NOAA</strong> — Hurricane, tornado, and severe weather historical data</li>
+          <li><strong>US Census Bureau cartographic boundaries</strong> (via us-atlas) — County map, bundled with the app</li>
           <li><strong>Hazus</strong> — FEMA's loss estimation tool for earthquakes, hurricanes, and floods</li>
         </ul>
       </div>
@@ -552,7 +3144,7 @@ function MethodologyTab() {
           ⚖️ Limitations
         </h3>
         <ul style={{ color: "#555", lineHeight: 1.9, fontSize: "15px", paddingLeft: "20px" }}>
-          <li>Data is resolved at the <strong>county level</strong> — risk may vary significantly within a county.</li>
+          <li>Data is resolved at the <strong>county level</strong> by default — risk may vary significantly within a county. Use the census tract panel for neighborhood detail.</li>
           <li>NRI scores are <strong>relative indices</strong> comparing US counties to each other, not absolute probability measures.</li>
           <li>The model reflects <strong>historical patterns</strong> and may not fully account for climate change impacts on future risk.</li>
           <li>Some hazards may have limited data in certain regions.</li>
@@ -563,54 +3155,517 @@ function MethodologyTab() {
   );
 }
 
+// ─── ROUTES ──────────────────────────────────────────────────────────
+// Results are addressable so they survive a refresh and can be shared:
+//   /zip/94103, /county/06075, /search?q=<address|city|lat,lng>,
+//   /compare?zips=94103,10001, /explore?state=06&hazard=wildfire, /batch,
+//   /methodology
+// On result routes, ?hazard=<id> expands a card and ?county=<fips> picks one
+// county of a split ZIP. Result, compare and explore routes take
+// ?index=<weights> to turn on the custom index with those weights
+// (customIndex.js). netlify.toml rewrites every path to index.html.
+
+function parseRoute({ pathname, search }) {
+  const params = new URLSearchParams(search);
+  const [section, value] = pathname.split("/").filter(Boolean);
+  const index = decodeCustomIndex(params.get("index"));
+
+  if (section === "methodology") return { tab: "methodology" };
+  if (section === "batch") return { tab: "batch" };
+  if (section === "explore") {
+    const state = params.get("state") || "";
+    const hazard = params.get("hazard") || "";
+    return { tab: "explore", index, explore: { state: /^\d{2}$/.test(state) ? state : "", hazard: HAZARD_CONFIG[hazard] ? hazard : "" } };
+  }
+  if (section === "compare") {
+    const zips = (params.get("zips") || "").split(",").filter((zip) => /^\d{5}$/.test(zip));
+    return { tab: "compare", index, zips: [...new Set(zips)].slice(0, MAX_COMPARE_LOCATIONS) };
+  }
+
+  let searchTarget = null;
+  if (section === "zip" && /^\d{5}$/.test(value || "")) searchTarget = { type: "zip", value };
+  else if (section === "county" && /^\d{5}$/.test(value || "")) searchTarget = { type: "county", value };
+  else if (section === "search" && params.get("q")) searchTarget = { type: "query", value: params.get("q") };
+
+  return {
+    tab: "calculator",
+    index,
+    search: searchTarget,
+    hazard: HAZARD_CONFIG[params.get("hazard")] ? params.get("hazard") : null,
+    county: params.get("county"),
+  };
+}
+
+// `index` is an encodeCustomIndex string, or null with the custom index off
+function buildPath({ tab, search, zips, hazard, county, explore, index = null }) {
+  if (tab === "methodology") return "/methodology";
+  if (tab === "batch") return "/batch";
+  // Only letters, digits, ":" and ",", so left unescaped to stay readable
+  const withIndex = (path) => (index ? `${path}${path.includes("?") ? "&" : "?"}index=${index}` : path);
+  if (tab === "explore") {
+    const params = new URLSearchParams();
+    if (explore?.state) params.set("state", explore.state);
+    if (explore?.hazard) params.set("hazard", explore.hazard);
+    return withIndex(params.toString() ? `/explore?${params}` : "/explore");
+  }
+  if (tab === "compare") return withIndex(zips?.length ? `/compare?zips=${zips.join(",")}` : "/compare");
+  if (!search) return withIndex("/");
+
+  const params = new URLSearchParams();
+  let path;
+  if (search.type === "zip") path = `/zip/${search.value}`;
+  else if (search.type === "county") path = `/county/${search.value}`;
+  else {
+    path = "/search";
+    params.set("q", search.value);
+  }
+  if (county) params.set("county", county);
+  if (hazard) params.set("hazard", hazard);
+
+  const queryString = params.toString();
+  return withIndex(queryString ? `${path}?${queryString}` : path);
+}
+
+// Route search target for a query typed into the search box
+function searchTargetForQuery(query) {
+  const parsed = parseSearchQuery(query);
+  return parsed.type === "zip" ? { type: "zip", value: parsed.zip } : { type: "query", value: query.trim() };
+}
+
+function searchKey(target) {
+  return target ? `${target.type}:${target.value}` : null;
+}
+
+// Location for a county FIPS, using the bundled boundaries for its name and centroid
+async function locationFromFips(fips) {
+  const atlas = await loadCountyAtlas();
+  const index = atlas.indexByFips.get(fips);
+  if (index === undefined) throw new Error(`No county found with FIPS code ${fips}.`);
+  return countyLocation(countyDetails(atlas, atlas.features[index]));
+}
+
+function navigate(path, { replace = false } = {}) {
+  if (window.location.pathname + window.location.search === path) return;
+  if (replace) window.history.replaceState(null, "", path);
+  else window.history.pushState(null, "", path);
+}
+
 // ─── MAIN APP ────────────────────────────────────────────────────────
 
 export default function App() {
-  const [activeTab, setActiveTab] = useState("calculator");
-  const [zipCode, setZipCode] = useState("");
+  const [activeTab, setActiveTab] = useState(() => parseRoute(window.location).tab);
+  const [query, setQuery] = useState("");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [locationInfo, setLocationInfo] = useState(null);
-  const [nriData, setNriData] = useState(null);
+  const [countyRecords, setCountyRecords] = useState({});
+  const [selectedCounty, setSelectedCounty] = useState(null);
   const [expandedHazard, setExpandedHazard] = useState(null);
   const [hasSearched, setHasSearched] = useState(false);
+  const [showInapplicable, setShowInapplicable] = useState(false);
+  const [horizonYears, setHorizonYears] = useState(1);
+  const [compareEntries, setCompareEntries] = useState([]);
+  const [activeSearch, setActiveSearch] = useState(null);
+  const [dataSources, setDataSources] = useState(null);
+  const [batchJob, setBatchJob] = useState(null);
+  const [searchedAt, setSearchedAt] = useState(null);
+  const [propertyProfile, setPropertyProfile] = useState(loadPropertyProfile);
+  const [checkedActions, setCheckedActions] = useState(loadCheckedActions);
+  const [printView, setPrintView] = useState("report");
+  const [scorePools, setScorePools] = useState(null);
+  const [declarationHistory, setDeclarationHistory] = useState(null);
+  const [explorerView, setExplorerView] = useState(() => ({ ...DEFAULT_EXPLORER_VIEW, ...parseRoute(window.location).explore }));
+  const [customIndex, setCustomIndex] = useState(() => {
+    const shared = parseRoute(window.location).index;
+    return shared ? { enabled: true, config: shared } : loadCustomIndex() ?? { enabled: false, config: DEFAULT_CUSTOM_INDEX };
+  });
+  const [savedPresets, setSavedPresets] = useState(loadSavedPresets);
+  const [nationalScores, setNationalScores] = useState(null);
   const inputRef = useRef(null);
+  const applyRouteRef = useRef(null);
+  const searchControllerRef = useRef(null);
+  const batchControllerRef = useRef(null);
+  const indexParamRef = useRef(null);
 
-  const handleSearch = async () => {
-    const cleaned = zipCode.trim();
-    if (!/^\d{5}$/.test(cleaned)) {
-      setError("Please enter a valid 5-digit US ZIP code.");
+  // For ZIPs that span counties, `selectedCounty` is a FIPS code or BLENDED_COUNTY
+  const nriData = useMemo(
+    () => countyChoiceRecord(locationInfo, countyRecords, selectedCounty),
+    [countyRecords, selectedCounty, locationInfo]
+  );
+
+  const propertyEstimate = useMemo(() => estimatePropertyLosses(nriData, propertyProfile), [nriData, propertyProfile]);
+  // State and national rankings. A blend is ranked against the primary county's state.
+  const rankFips = selectedCounty && selectedCounty !== BLENDED_COUNTY ? selectedCounty : null;
+  const rankStateCode = (rankFips ?? locationInfo?.fips)?.substring(0, 2) ?? null;
+  const stateName = nriData?.state || locationInfo?.stateName;
+  const scoreRanks = useMemo(
+    () =>
+      nriData && scorePools?.stateCode === rankStateCode && nationalScores
+        ? rankRecord(nriData, { state: scorePools.state, national: nationalScores.records }, rankFips)
+        : null,
+    [nriData, scorePools, nationalScores, rankStateCode, rankFips]
+  );
+
+  // The custom index is a national percentile, so it waits for every county's scores
+  const customScore = useMemo(
+    () => (customIndex.enabled && nationalScores?.records.length ? customIndexScorer(nationalScores.records, customIndex.config) : null),
+    [customIndex, nationalScores]
+  );
+  const customResult = useMemo(() => (customScore && nriData ? customScore(nriData) : null), [customScore, nriData]);
+  const customRanks = useMemo(() => {
+    if (!customResult || scorePools?.stateCode !== rankStateCode || !nationalScores) return null;
+    const options = { fips: rankFips, scoreOf: (record) => customScore(record)?.score };
+    return {
+      state: rankScore(scorePools.state, customResult.score, options),
+      national: rankScore(nationalScores.records, customResult.score, options),
+    };
+  }, [customResult, customScore, scorePools, nationalScores, rankStateCode, rankFips]);
+  const customStatus = nationalScores?.error
+    ? `The custom index ranks every county, and their scores couldn't be loaded: ${nationalScores.error}`
+    : !nationalScores
+      ? "Loading every county's scores to rank the custom index…"
+      : Object.values(customIndex.config.weights).every((weight) => weight === 0)
+        ? "Give at least one hazard a weight above 0."
+        : "This county has no scores for the weighted hazards.";
+  const indexParam = customIndex.enabled ? encodeCustomIndex(customIndex.config) : null;
+  const routePath = (route) => buildPath({ ...route, index: indexParam });
+
+  // Declarations are for the scored county, or the primary county of a blend
+  const historyFips = rankFips ?? locationInfo?.fips ?? null;
+  const history = declarationHistory?.fips === historyFips ? declarationHistory : null;
+  const declarationCountFor = (id) => history?.summary?.byHazard[id] ?? null;
+
+  const preparednessPlan = useMemo(() => (nriData ? buildPreparednessPlan(nriData) : null), [nriData]);
+  const propertyLossFor = (id) => propertyEstimate?.hazards.find((h) => h.id === id)?.annualLoss ?? null;
+
+  const hazardEntries = Object.entries(HAZARD_CONFIG);
+  const applicableHazards = hazardEntries.filter(([, config]) => isHazardApplicable(nriData, config.key));
+  const inapplicableHazards = hazardEntries.filter(([, config]) => !isHazardApplicable(nriData, config.key));
+
+  const handleSearch = () => {
+    const parsed = parseSearchQuery(query);
+    if (!parsed.type) {
+      setError(parsed.error);
       return;
     }
 
+    const target = searchTargetForQuery(query);
+    navigate(routePath({ tab: "calculator", search: target }));
+    loadResults(target, (signal) => loadLocation(query, { signal }));
+  };
+
+  // Picking a county on the map skips geocoding; the county's centroid stands in for the point
+  const handleCountySelect = (county) => {
+    window.scrollTo({ top: 0, behavior: "smooth" });
+    const target = { type: "county", value: county.fips };
+    navigate(routePath({ tab: "calculator", search: target }));
+    loadResults(target, async () => ({ value: countyLocation(county), source: "bundled" }));
+  };
+
+  // `restore` carries the expanded hazard and split-ZIP county from a deep link.
+  // Starting a search cancels the previous one so a slow response can't
+  // overwrite newer results.
+  const loadResults = async (target, resolveLocation, restore = {}) => {
+    searchControllerRef.current?.abort();
+    const controller = new AbortController();
+    searchControllerRef.current = controller;
+    const { signal } = controller;
+
+    setActiveSearch(target);
     setLoading(true);
     setError(null);
-    setNriData(null);
+    setCountyRecords({});
+    setSelectedCounty(null);
     setLocationInfo(null);
+    setDataSources(null);
     setExpandedHazard(null);
+    setShowInapplicable(false);
     setHasSearched(true);
 
     try {
-      // Step 1: Convert ZIP to county FIPS
-      const location = await zipToCountyFips(cleaned);
+      // Step 1: Geocode to a point and county FIPS
+      const { value: location, ...locationSource } = await resolveLocation(signal);
+      if (signal.aborted) return;
       setLocationInfo(location);
 
-      // Step 2: Fetch NRI data for that county
-      const nri = await fetchNRIData(location.fips);
-      setNriData(nri);
+      // Step 2: Fetch NRI data for every county the ZIP touches
+      const { records, loaded, source: nriSource } = await loadCountyRecords(location, { signal });
+      if (signal.aborted) return;
+
+      setCountyRecords(records);
+      setDataSources({ location: locationSource, nri: nriSource });
+      setSearchedAt(Date.now());
+      const county = linkedCountyChoice(location, records, restore.county) ?? loaded[0].fips;
+      setSelectedCounty(county);
+      if (restore.hazard) {
+        setExpandedHazard(restore.hazard);
+        setShowInapplicable(!isHazardApplicable(countyChoiceRecord(location, records, county), HAZARD_CONFIG[restore.hazard].key));
+      }
     } catch (err) {
-      setError(err.message || "An error occurred. Please try again.");
+      if (signal.aborted || isAbortError(err)) return;
+      setError(describeError(err));
     } finally {
-      setLoading(false);
+      if (searchControllerRef.current === controller) setLoading(false);
     }
   };
 
+  const handlePropertyProfileChange = (profile) => {
+    setPropertyProfile(profile);
+    savePropertyProfile(profile);
+  };
+
+  const handleCustomIndexChange = (next) => {
+    setCustomIndex(next);
+    saveCustomIndex(next);
+  };
+
+  const handlePresetsChange = (presets) => {
+    setSavedPresets(presets);
+    saveSavedPresets(presets);
+  };
+
+  const customIndexControls = {
+    customIndex,
+    savedPresets,
+    onChange: handleCustomIndexChange,
+    onPresetsChange: handlePresetsChange,
+  };
+
+  const handleToggleAction = (id) => {
+    const next = new Set(checkedActions);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setCheckedActions(next);
+    saveCheckedActions(next);
+  };
+
+  const handleDownloadPlan = () => {
+    const title = `${nriData.county}, ${nriData.state || locationInfo.stateName}`;
+    downloadFile(`preparedness-plan-${selectedCounty}.md`, planToMarkdown(preparednessPlan, checkedActions, { title }), "text/markdown");
+  };
+
+  // Renders the chosen print-only view before the print dialog opens
+  const handlePrint = (view) => {
+    flushSync(() => setPrintView(view));
+    window.print();
+  };
+
+  const handleDownloadData = (format) => {
+    const data = buildDataExport({
+      location: locationInfo,
+      nriData,
+      scoredCounty: selectedCounty,
+      sources: dataSources,
+      horizonYears,
+    });
+    if (format === "csv") downloadFile(dataExportFileName(data, "csv"), dataExportToCSV(data), "text/csv");
+    else downloadFile(dataExportFileName(data, "json"), JSON.stringify(data, null, 2), "application/json");
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === "Enter") handleSearch();
   };
 
+  // Current results as a route, for tab switches and in-place URL updates
+  const resultsRoute = (overrides = {}) => ({
+    tab: "calculator",
+    search: activeSearch,
+    hazard: expandedHazard,
+    county: locationInfo?.counties.length > 1 ? selectedCounty : null,
+    ...overrides,
+  });
+
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    if (tab === "calculator") navigate(routePath(resultsRoute()));
+    else navigate(routePath({ tab, zips: compareEntries.map((e) => e.zip), explore: explorerView }));
+  };
+
+  // A row in the explorer opens the county's results, with the explored hazard expanded
+  const handleOpenCounty = (fips, hazard) => {
+    window.scrollTo({ top: 0 });
+    setActiveTab("calculator");
+    const target = { type: "county", value: fips };
+    navigate(routePath({ tab: "calculator", search: target, hazard }));
+    loadResults(target, async () => ({ value: await locationFromFips(fips), source: "bundled" }), { hazard });
+  };
+
+  // The batch job lives here so a run keeps going while other tabs are open
+  const runBatch = (job) => {
+    batchControllerRef.current?.abort();
+    const controller = new AbortController();
+    batchControllerRef.current = controller;
+    setBatchJob(job);
+    runBatchJob(job, setBatchJob, controller.signal);
+  };
+
+  const cancelBatch = () => {
+    batchControllerRef.current?.abort();
+    setBatchJob((current) => current && { ...current, running: false });
+  };
+
+  const retryBatch = () =>
+    runBatch({
+      ...batchJob,
+      running: true,
+      rows: batchJob.rows.map((r) => (r.status === "error" || r.status === "pending" ? { ...r, status: "pending", record: null } : r)),
+    });
+
+  const handleHazardToggle = (id) => {
+    const next = expandedHazard === id ? null : id;
+    setExpandedHazard(next);
+    navigate(routePath(resultsRoute({ hazard: next })), { replace: true });
+  };
+
+  const handleCountyPick = (fips) => {
+    setSelectedCounty(fips);
+    navigate(routePath(resultsRoute({ county: fips })), { replace: true });
+  };
+
+  const applyRoute = (route) => {
+    setActiveTab(route.tab);
+    // A shared link's weights apply for this visit; the user's saved settings are kept
+    if (route.index) {
+      setCustomIndex((current) =>
+        current.enabled && sameCustomIndex(current.config, route.index) ? current : { enabled: true, config: route.index }
+      );
+    }
+
+    if (route.tab === "compare") {
+      const known = compareEntries.map((e) => e.zip);
+      if (route.zips.join(",") === known.join(",")) return;
+      const entries = route.zips.map((zip) => compareEntries.find((e) => e.zip === zip) ?? newCompareEntry(zip));
+      compareEntries.filter((e) => !route.zips.includes(e.zip)).forEach((e) => e.controller.abort());
+      setCompareEntries(entries);
+      entries.filter((e) => !known.includes(e.zip)).forEach((e) => resolveCompareEntry(e, setCompareEntries));
+      return;
+    }
+    if (route.tab === "explore") {
+      const { state, hazard } = route.explore;
+      setExplorerView((view) => (view.state === state && view.hazard === hazard ? view : { ...view, state, hazard, page: 0 }));
+      return;
+    }
+    if (route.tab !== "calculator") return;
+
+    // Same search as on screen (e.g. back from another tab): just restore the view
+    if (route.search && searchKey(route.search) === searchKey(activeSearch)) {
+      setExpandedHazard(route.hazard);
+      const county = linkedCountyChoice(locationInfo, countyRecords, route.county);
+      if (county) setSelectedCounty(county);
+      return;
+    }
+
+    if (!route.search) {
+      searchControllerRef.current?.abort();
+      setLoading(false);
+      setActiveSearch(null);
+      setLocationInfo(null);
+      setCountyRecords({});
+      setSelectedCounty(null);
+      setError(null);
+      setHasSearched(false);
+      return;
+    }
+
+    const restore = { hazard: route.hazard, county: route.county };
+    if (route.search.type === "county") {
+      loadResults(route.search, async () => ({ value: await locationFromFips(route.search.value), source: "bundled" }), restore);
+    } else {
+      setQuery(route.search.value);
+      loadResults(route.search, (signal) => loadLocation(route.search.value, { signal }), restore);
+    }
+  };
+  applyRouteRef.current = applyRoute;
+
+  // Restore state from the URL on load and on browser back/forward
+  useEffect(() => {
+    const onPopState = () => applyRouteRef.current(parseRoute(window.location));
+    onPopState();
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  // Score tables for the rankings; they're context, so a failure just leaves them out
+  useEffect(() => {
+    if (!rankStateCode) return;
+    const controller = new AbortController();
+    loadNRIScores(rankStateCode, { signal: controller.signal })
+      .then(({ value }) => value, () => [])
+      .then((state) => !controller.signal.aborted && setScorePools({ stateCode: rankStateCode, state }));
+    return () => controller.abort();
+  }, [rankStateCode]);
+
+  // Every county's scores, for the national rankings and the custom index.
+  // Loaded once, when either first needs them.
+  const needsNationalScores = Boolean(rankStateCode) || customIndex.enabled;
+  useEffect(() => {
+    if (!needsNationalScores || nationalScores) return;
+    const controller = new AbortController();
+    loadNRIScores(null, { signal: controller.signal })
+      .then(({ value }) => setNationalScores({ records: value, error: null }))
+      .catch((err) => {
+        if (controller.signal.aborted || isAbortError(err)) return;
+        setNationalScores({ records: [], error: describeError(err) });
+      });
+    return () => controller.abort();
+  }, [needsNationalScores]);
+
+  useEffect(() => {
+    if (!historyFips) return;
+    const controller = new AbortController();
+    setDeclarationHistory({ fips: historyFips, summary: null, error: null });
+    loadDisasterDeclarations(historyFips, { signal: controller.signal })
+      .then(({ value }) => setDeclarationHistory({ fips: historyFips, summary: summarizeDeclarations(value), error: null }))
+      .catch((err) => {
+        if (controller.signal.aborted || isAbortError(err)) return;
+        setDeclarationHistory({ fips: historyFips, summary: null, error: describeError(err) });
+      });
+    return () => controller.abort();
+  }, [historyFips]);
+
+  // The browser's own Print command always prints the report
+  useEffect(() => {
+    const onAfterPrint = () => setPrintView("report");
+    window.addEventListener("afterprint", onAfterPrint);
+    return () => window.removeEventListener("afterprint", onAfterPrint);
+  }, []);
+
+  // Keep the explorer URL in step with the chosen state and hazard
+  useEffect(() => {
+    if (activeTab !== "explore") return;
+    navigate(routePath({ tab: "explore", explore: explorerView }), { replace: true });
+  }, [activeTab, explorerView.state, explorerView.hazard]);
+
+  // Keep the URL's index parameter in step with the custom index. Skips the
+  // first render, when the URL (a deep link) hasn't been applied yet.
+  useEffect(() => {
+    const previous = indexParamRef.current;
+    indexParamRef.current = indexParam ?? "";
+    if (previous === null || previous === indexParamRef.current) return;
+    if (activeTab === "calculator") navigate(routePath(resultsRoute()), { replace: true });
+    else navigate(routePath({ tab: activeTab, zips: compareEntries.map((e) => e.zip), explore: explorerView }), { replace: true });
+  }, [indexParam]);
+
+  // Keep the compare URL in step with the ZIPs being compared
+  useEffect(() => {
+    if (activeTab !== "compare") return;
+    navigate(routePath({ tab: "compare", zips: compareEntries.map((e) => e.zip) }), { replace: true });
+  }, [activeTab, compareEntries]);
+
+  const hasResults = !loading && nriData && locationInfo;
+  // Printing swaps in the report only on the results tab; other tabs print as they are
+  const printsReport = activeTab === "calculator" && hasResults;
+
+  const customIndexBar = (
+    <div style={{ background: "white", borderRadius: "16px", padding: "14px 20px", marginBottom: "16px", border: "1px solid #eee" }}>
+      <CustomIndexControls {...customIndexControls} />
+      {customIndex.enabled && !customScore && <div style={{ fontSize: "13px", color: "#999", marginTop: "8px" }}>{customStatus}</div>}
+    </div>
+  );
+
   return (
     <div
+      className={printsReport ? "has-report" : undefined}
       style={{
         minHeight: "100vh",
         background: "#f4f7f5",
@@ -635,6 +3690,16 @@ export default function App() {
         }
         * { box-sizing: border-box; margin: 0; padding: 0; }
         body { margin: 0; }
+
+        .print-report { display: none; }
+        @media print {
+          @page { margin: 14mm; }
+          body { background: white; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+          .has-report { background: white !important; }
+          .has-report > :not(.print-report) { display: none !important; }
+          .has-report > .print-report { display: block; }
+          .report-section { break-inside: avoid; }
+        }
       `}</style>
 
       {/* Header */}
@@ -685,11 +3750,14 @@ export default function App() {
           <div style={{ display: "flex", gap: "0" }}>
             {[
               { id: "calculator", label: "Calculator" },
+              { id: "compare", label: "Compare" },
+              { id: "explore", label: "Explore" },
+              { id: "batch", label: "Batch" },
               { id: "methodology", label: "Methodology" },
             ].map((tab) => (
               <button
                 key={tab.id}
-                onClick={() => setActiveTab(tab.id)}
+                onClick={() => handleTabChange(tab.id)}
                 style={{
                   padding: "10px 20px",
                   background: activeTab === tab.id ? "rgba(255,255,255,0.1)" : "transparent",
@@ -735,16 +3803,16 @@ export default function App() {
                   marginBottom: "10px",
                 }}
               >
-                Enter your ZIP code
+                Enter a ZIP code, street address, city, or coordinates
               </label>
               <div style={{ display: "flex", gap: "10px" }}>
                 <input
                   ref={inputRef}
                   type="text"
-                  value={zipCode}
-                  onChange={(e) => setZipCode(e.target.value.replace(/\D/g, "").slice(0, 5))}
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
                   onKeyDown={handleKeyDown}
-                  placeholder="e.g. 90210"
+                  placeholder="e.g. 90210 · 1600 Pennsylvania Ave NW, Washington, DC · Boulder, CO · 37.77, -122.42"
                   style={{
                     flex: 1,
                     padding: "12px 16px",
@@ -752,8 +3820,7 @@ export default function App() {
                     border: "2px solid #dde3df",
                     borderRadius: "10px",
                     outline: "none",
-                    fontFamily: "'Space Mono', monospace",
-                    letterSpacing: "2px",
+                    fontFamily: "inherit",
                     transition: "border-color 0.2s ease",
                   }}
                   onFocus={(e) => (e.target.style.borderColor = "#4a8c6a")}
@@ -821,7 +3888,7 @@ export default function App() {
             )}
 
             {/* Results */}
-            {!loading && nriData && locationInfo && (
+            {hasResults && (
               <div style={{ animation: "slideUp 0.5s ease" }}>
                 {/* Location header */}
                 <div
@@ -842,30 +3909,179 @@ export default function App() {
                       {nriData.county}, {nriData.state || locationInfo.stateName}
                     </div>
                     <div style={{ fontSize: "13px", color: "#999" }}>
-                      ZIP {zipCode} · County FIPS {locationInfo.fips}
+                      {QUERY_TYPE_LABELS[locationInfo.queryType]}: {locationInfo.matchedAddress} ·{" "}
+                      {selectedCounty === BLENDED_COUNTY
+                        ? `Blended across ${locationInfo.counties.length} counties`
+                        : `County FIPS ${selectedCounty}`}
                     </div>
                   </div>
+                  {dataSources && <DataSourceBadge sources={dataSources} />}
+                  <button
+                    onClick={() => handlePrint("report")}
+                    title="Print or save as PDF, with every hazard expanded"
+                    style={{
+                      marginLeft: dataSources ? 0 : "auto",
+                      padding: "6px 12px",
+                      background: "white",
+                      border: "1px solid #d5dbd7",
+                      borderRadius: "8px",
+                      color: "#1e3a2a",
+                      fontSize: "12px",
+                      fontWeight: 600,
+                      cursor: "pointer",
+                      fontFamily: "inherit",
+                      whiteSpace: "nowrap",
+                    }}
+                  >
+                    Export report
+                  </button>
+                  <select
+                    value=""
+                    onChange={(e) => handleDownloadData(e.target.value)}
+                    title="The NRI record with the derived ratings and odds"
+                    style={{
+                      padding: "6px 8px",
+                      background: "white",
+                      border: "1px solid #d5dbd7",
+                      borderRadius: "8px",
+                      color: "#1e3a2a",
+                      fontSize: "12px",
+                      fontWeight: 600,
+                      cursor: "pointer",
+                      fontFamily: "inherit",
+                    }}
+                  >
+                    <option value="" disabled>
+                      Download data
+                    </option>
+                    <option value="json">JSON</option>
+                    <option value="csv">CSV (one row)</option>
+                  </select>
                 </div>
 
+                {/* Split ZIP */}
+                {locationInfo.counties.length > 1 && (
+                  <CountySplitPicker
+                    zip={locationInfo.zip}
+                    counties={locationInfo.counties}
+                    records={countyRecords}
+                    selected={selectedCounty}
+                    onSelect={handleCountyPick}
+                  />
+                )}
+
+                {/* Map */}
+                <CountyMap
+                  location={locationInfo}
+                  fips={selectedCounty === BLENDED_COUNTY ? locationInfo.fips : selectedCounty}
+                  onSelectCounty={handleCountySelect}
+                />
+
+                {/* Census tract */}
+                <TractPanel location={locationInfo} countyRecords={countyRecords} />
+
                 {/* Overall risk */}
-                <OverallRiskSummary nriData={nriData} />
+                <OverallRiskSummary nriData={nriData} ranks={scoreRanks?.overall} stateName={stateName} />
+
+                {/* The user's own weighting */}
+                <CustomIndexPanel
+                  result={customResult}
+                  status={customStatus}
+                  ranks={customRanks}
+                  stateName={stateName}
+                  controls={customIndexControls}
+                />
+
+                {/* Dollar losses by hazard */}
+                <LossDriversChart nriData={nriData} hazards={applicableHazards} />
+
+                {/* The user's own home */}
+                <PropertyPanel profile={propertyProfile} estimate={propertyEstimate} onChange={handlePropertyProfileChange} />
+
+                {/* Time horizon */}
+                <HorizonPanel
+                  nriData={nriData}
+                  hazards={applicableHazards}
+                  horizonYears={horizonYears}
+                  onChange={setHorizonYears}
+                />
+
+                {/* What has happened */}
+                <DeclarationsTimeline
+                  countyName={countyRecords[historyFips]?.county ?? locationInfo.countyName}
+                  history={history}
+                />
 
                 {/* Hazard cards */}
                 <div style={{ display: "flex", flexDirection: "column", gap: "10px" }}>
                   <div style={{ fontSize: "12px", color: "#999", textTransform: "uppercase", letterSpacing: "1px", fontWeight: 600, marginBottom: "4px" }}>
                     Hazard Breakdown
                   </div>
-                  {Object.entries(HAZARD_CONFIG).map(([id, config]) => (
+                  {applicableHazards.map(([id, config]) => (
+                    <HazardCard
+                      key={id}
+                      hazardId={id}
+                      config={config}
+                      nriData={nriData}
+                      isExpanded={expandedHazard === id}
+                      onToggle={() => handleHazardToggle(id)}
+                      horizonYears={horizonYears}
+                      propertyLoss={propertyLossFor(id)}
+                      ranks={scoreRanks?.hazards[id]}
+                      stateName={stateName}
+                      declarationCount={declarationCountFor(id)}
+                    >
+                      {id === "flood" && historyFips && <FloodInsurancePanel fips={historyFips} />}
+                    </HazardCard>
+                  ))}
+
+                  {inapplicableHazards.length > 0 && (
+                    <button
+                      onClick={() => setShowInapplicable(!showInapplicable)}
+                      style={{
+                        marginTop: "6px",
+                        padding: "12px 20px",
+                        background: "transparent",
+                        border: "1px dashed #d5dbd7",
+                        borderRadius: "12px",
+                        color: "#888",
+                        fontSize: "13px",
+                        cursor: "pointer",
+                        fontFamily: "inherit",
+                        textAlign: "left",
+                      }}
+                    >
+                      {showInapplicable ? "Hide" : "Show"} {inapplicableHazards.length} hazard{inapplicableHazards.length === 1 ? "" : "s"} not
+                      applicable to this county ({inapplicableHazards.map(([, config]) => config.label).join(", ")})
+                    </button>
+                  )}
+                  {showInapplicable && inapplicableHazards.map(([id, config]) => (
                     <HazardCard
                       key={id}
                       hazardId={id}
                       config={config}
                       nriData={nriData}
                       isExpanded={expandedHazard === id}
-                      onToggle={() => setExpandedHazard(expandedHazard === id ? null : id)}
-                    />
+                      onToggle={() => handleHazardToggle(id)}
+                      horizonYears={horizonYears}
+                      propertyLoss={propertyLossFor(id)}
+                      ranks={scoreRanks?.hazards[id]}
+                      stateName={stateName}
+                      declarationCount={declarationCountFor(id)}
+                    >
+                      {id === "flood" && historyFips && <FloodInsurancePanel fips={historyFips} />}
+                    </HazardCard>
                   ))}
                 </div>
+
+                {/* What to do about it */}
+                <PreparednessPanel
+                  plan={preparednessPlan}
+                  checked={checkedActions}
+                  onToggle={handleToggleAction}
+                  onDownload={handleDownloadPlan}
+                  onPrint={() => handlePrint("plan")}
+                />
               </div>
             )}
 
@@ -874,14 +4090,28 @@ export default function App() {
               <div style={{ textAlign: "center", padding: "60px 20px", color: "#999" }}>
                 <div style={{ fontSize: "48px", marginBottom: "16px", opacity: 0.3 }}>🗺️</div>
                 <div style={{ fontSize: "16px", fontWeight: 500, marginBottom: "6px", color: "#666" }}>
-                  Enter a ZIP code to get started
+                  Enter a location to get started
                 </div>
                 <div style={{ fontSize: "14px" }}>
-                  We'll analyze earthquake, hurricane, tornado, flood, and wildfire risk for your area.
+                  We'll analyze all 18 natural hazards in FEMA's National Risk Index for your area.
                 </div>
               </div>
             )}
           </>
+        ) : activeTab === "compare" ? (
+          <div style={{ animation: "fadeIn 0.3s ease" }}>
+            {customIndexBar}
+            <CompareTab entries={compareEntries} setEntries={setCompareEntries} customScore={customScore} />
+          </div>
+        ) : activeTab === "explore" ? (
+          <div style={{ animation: "fadeIn 0.3s ease" }}>
+            {customIndexBar}
+            <ExplorerTab view={explorerView} onChange={setExplorerView} onOpenCounty={handleOpenCounty} customScore={customScore} />
+          </div>
+        ) : activeTab === "batch" ? (
+          <div style={{ animation: "fadeIn 0.3s ease" }}>
+            <BatchTab job={batchJob} onStart={runBatch} onCancel={cancelBatch} onRetry={retryBatch} />
+          </div>
         ) : (
           <div style={{ animation: "fadeIn 0.3s ease" }}>
             <MethodologyTab />
@@ -889,6 +4119,27 @@ export default function App() {
         )}
       </main>
 
+      {/* Print-only report or plan */}
+      {printsReport && printView === "plan" && (
+        <PrintPlan location={locationInfo} nriData={nriData} plan={preparednessPlan} checked={checkedActions} />
+      )}
+      {printsReport && printView === "report" && (
+        <PrintReport
+          location={locationInfo}
+          nriData={nriData}
+          selectedCounty={selectedCounty}
+          countyRecords={countyRecords}
+          sources={dataSources}
+          searchedAt={searchedAt}
+          horizonYears={horizonYears}
+          propertyEstimate={propertyEstimate}
+          ranks={scoreRanks}
+          declarationCounts={history?.summary?.byHazard}
+          applicableHazards={applicableHazards}
+          inapplicableHazards={inapplicableHazards}
+        />
+      )}
+
       {/* Footer */}
       <footer
         style={{
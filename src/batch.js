@@ -0,0 +1,101 @@
+// Batch scoring: one flat row per input location with every hazard's score,
+// rating and odds plus the composite indices. Shared by the CLI
+// (bin/disaster-risk.js) and the web app's batch upload.
+
+import { HAZARD_CONFIG } from "./hazards.js";
+import { ProviderError, describeError, parseSearchQuery } from "./riskEngine.js";
+
+// Header names recognised as holding the location, in order of preference
+const QUERY_COLUMN_NAMES = ["query", "zip", "zipcode", "zip_code", "postal_code", "postcode", "address", "location"];
+
+export const BATCH_COLUMNS = [
+  "row",
+  "query",
+  "status",
+  "error",
+  "matched_address",
+  "county_fips",
+  "county_name",
+  "state",
+  "counties",
+  "horizon_years",
+  "risk_score",
+  "risk_rating",
+  "eal_score",
+  "eal_rating",
+  "eal_dollars",
+  "sovi_score",
+  "sovi_rating",
+  "resl_score",
+  "resl_rating",
+  "any_hazard_annual_odds",
+  "any_hazard_horizon_odds",
+  ...Object.keys(HAZARD_CONFIG).flatMap((id) => [
+    `${id}_score`,
+    `${id}_rating`,
+    `${id}_annual_odds`,
+    `${id}_horizon_odds`,
+    `${id}_eal_dollars`,
+  ]),
+];
+
+// Row statuses: "ok"; "invalid" when the input can't be scored (bad or
+// unknown location); "error" when a service failed and the row is worth retrying
+export const BATCH_STATUSES = ["ok", "invalid", "error"];
+
+export function findQueryColumn(columns) {
+  const normalized = columns.map((name) => name.trim().toLowerCase().replace(/[\s-]+/g, "_"));
+  for (const name of QUERY_COLUMN_NAMES) {
+    const index = normalized.indexOf(name);
+    if (index !== -1) return columns[index];
+  }
+  return columns[0] ?? null;
+}
+
+// Returns an error message if the query can't be looked up at all
+export function validateBatchQuery(query) {
+  const parsed = parseSearchQuery(query ?? "");
+  return parsed.type ? null : parsed.error;
+}
+
+const round = (value, digits = 6) => (typeof value === "number" ? Number(value.toFixed(digits)) : null);
+
+export function assessmentRow(row, query, assessment) {
+  const { location, indices, combined } = assessment;
+  const record = {
+    row,
+    query,
+    status: "ok",
+    error: "",
+    matched_address: location.matchedAddress,
+    county_fips: assessment.nri.stateCode && assessment.nri.countyCode ? assessment.nri.stateCode + assessment.nri.countyCode : location.fips,
+    county_name: assessment.nri.county ?? location.countyName,
+    state: assessment.nri.state ?? location.stateName,
+    counties: location.counties.map((c) => `${c.fips}:${round(c.share, 3)}`).join(";"),
+    horizon_years: assessment.horizonYears,
+    risk_score: round(indices.risk.score, 2),
+    risk_rating: indices.risk.rating,
+    eal_score: round(indices.expectedLoss.score, 2),
+    eal_rating: indices.expectedLoss.rating,
+    eal_dollars: round(indices.expectedLoss.dollars, 0),
+    sovi_score: round(indices.socialVulnerability.score, 2),
+    sovi_rating: indices.socialVulnerability.rating,
+    resl_score: round(indices.communityResilience.score, 2),
+    resl_rating: indices.communityResilience.rating,
+    any_hazard_annual_odds: round(combined.annual),
+    any_hazard_horizon_odds: round(combined.horizon),
+  };
+  for (const hazard of assessment.hazards) {
+    record[`${hazard.id}_score`] = round(hazard.score, 2);
+    record[`${hazard.id}_rating`] = hazard.applicable ? hazard.rating : "Not Applicable";
+    record[`${hazard.id}_annual_odds`] = round(hazard.odds.annual);
+    record[`${hazard.id}_horizon_odds`] = round(hazard.odds.horizon);
+    record[`${hazard.id}_eal_dollars`] = round(hazard.losses.total, 0);
+  }
+  return record;
+}
+
+export function errorRow(row, query, err) {
+  const invalid = typeof err === "string" || (err instanceof ProviderError && !err.isOutage);
+  return { row, query, status: invalid ? "invalid" : "error", error: typeof err === "string" ? err : describeError(err) };
+}
@@ -0,0 +1,65 @@
+// Minimal RFC 4180 CSV reading and writing: quoted fields, doubled quotes,
+// and CRLF or LF line endings. Shared by the CLI and the web app.
+
+// Parses CSV text into an array of rows (arrays of strings)
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Drop blank lines
+  return rows.filter((r) => r.length > 1 || r[0].trim() !== "");
+}
+
+// Parses CSV with a header row into objects keyed by column name
+export function parseCSVRecords(text) {
+  const [header = [], ...rows] = parseCSV(text.replace(/^\uFEFF/, ""));
+  const columns = header.map((name) => name.trim());
+  return { columns, records: rows.map((row) => Object.fromEntries(columns.map((name, i) => [name, row[i] ?? ""]))) };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvLine(values) {
+  return values.map(csvField).join(",");
+}
+
+// Serializes objects to CSV using `columns` as the header and field order
+export function toCSV(columns, records) {
+  return [csvLine(columns), ...records.map((record) => csvLine(columns.map((name) => record[name])))].join("\n") + "\n";
+}
@@ -0,0 +1,182 @@
+// Custom composite index: a weighted mean of the county's hazard risk scores
+// with weights the user chooses, instead of FEMA's RISK_SCORE (which weights
+// hazards by modeled dollar loss). Hazards that don't apply to a county count
+// as 0, so a hazard that matters to you can't inflate a county it can't reach.
+// Social vulnerability and community resilience optionally scale the result
+// by up to ±50%, the same direction they push the NRI composite. Like the NRI
+// scores, the index is then expressed as a national percentile: the share of
+// all counties whose composite is lower. Ratings use the NRI score bands.
+
+import { HAZARD_CONFIG } from "./hazards.js";
+import { isHazardApplicable } from "./riskEngine.js";
+
+const STORAGE_KEY = "disaster-risk-custom-index";
+const PRESETS_STORAGE_KEY = "disaster-risk-index-presets";
+
+export const MAX_WEIGHT = 5;
+const DEFAULT_WEIGHT = 1;
+
+export const DEFAULT_CUSTOM_INDEX = {
+  weights: Object.fromEntries(Object.keys(HAZARD_CONFIG).map((id) => [id, DEFAULT_WEIGHT])),
+  sovi: false,
+  resl: false,
+};
+
+// Weights not listed stay at 1
+export const INDEX_PRESETS = {
+  equal: { label: "Equal weights", weights: {} },
+  agriculture: {
+    label: "Farm & agriculture",
+    weights: { drought: 5, hail: 4, heatWave: 3, coldWave: 3, flood: 3, strongWind: 3, wildfire: 2, tornado: 2 },
+  },
+  dataCenter: {
+    label: "Data center",
+    weights: { earthquake: 5, flood: 5, coastalFlood: 4, hurricane: 4, tornado: 3, heatWave: 3, iceStorm: 3, lightning: 3, wildfire: 3 },
+  },
+  coastalHome: {
+    label: "Coastal home",
+    weights: { hurricane: 5, coastalFlood: 5, flood: 4, tsunami: 3, strongWind: 3 },
+  },
+};
+
+export function presetIndex(id) {
+  const preset = INDEX_PRESETS[id];
+  return preset && normalizeCustomIndex({ weights: { ...DEFAULT_CUSTOM_INDEX.weights, ...preset.weights } });
+}
+
+// Fills in missing hazards and clamps weights to whole numbers 0–MAX_WEIGHT,
+// so saved or shared settings from another version still load
+export function normalizeCustomIndex(config) {
+  const weights = {};
+  for (const id of Object.keys(HAZARD_CONFIG)) {
+    const weight = Math.round(Number(config?.weights?.[id] ?? DEFAULT_WEIGHT));
+    weights[id] = Number.isFinite(weight) ? Math.min(MAX_WEIGHT, Math.max(0, weight)) : DEFAULT_WEIGHT;
+  }
+  return { weights, sovi: Boolean(config?.sovi), resl: Boolean(config?.resl) };
+}
+
+export function sameCustomIndex(a, b) {
+  return (
+    a.sovi === b.sovi &&
+    a.resl === b.resl &&
+    Object.keys(HAZARD_CONFIG).every((id) => a.weights[id] === b.weights[id])
+  );
+}
+
+const scoreOf = (value) => (typeof value === "number" && value >= 0 ? value : null);
+
+// { composite, base, soviFactor, reslFactor, hazards: [{ id, label, weight,
+// score, contribution }] } with contributions in points of the weighted mean,
+// largest first. Null when every weight is 0 or none of the weighted hazards
+// has a score in the record.
+export function scoreCustomIndex(nriData, config) {
+  const totalWeight = Object.values(config.weights).reduce((sum, w) => sum + w, 0);
+  if (!nriData || totalWeight === 0) return null;
+
+  let scored = 0;
+  const hazards = Object.entries(HAZARD_CONFIG)
+    .filter(([id]) => config.weights[id] > 0)
+    .map(([id, { key, label }]) => {
+      // Only a numeric score counts as data; an inapplicable hazard with data scores 0
+      const value = scoreOf(nriData[`${key}_RISKS`]);
+      if (value !== null) scored++;
+      const score = isHazardApplicable(nriData, key) ? value : 0;
+      const weight = config.weights[id];
+      return { id, label, weight, score, contribution: ((score ?? 0) * weight) / totalWeight };
+    })
+    .sort((a, b) => b.contribution - a.contribution);
+  if (scored === 0) return null;
+
+  const base = hazards.reduce((sum, h) => sum + h.contribution, 0);
+  const sovi = scoreOf(nriData.SOVI_SCORE);
+  const resl = scoreOf(nriData.RESL_SCORE);
+  const soviFactor = config.sovi && sovi !== null ? 0.5 + sovi / 100 : 1;
+  const reslFactor = config.resl && resl !== null ? 1.5 - resl / 100 : 1;
+  return { composite: base * soviFactor * reslFactor, base, soviFactor, reslFactor, hazards };
+}
+
+// `records` is every county's scores (loadNRIScores). Returns a function giving
+// scoreCustomIndex's result for a record plus `score`, its national percentile;
+// null when no county can be scored.
+export function customIndexScorer(records, config) {
+  const composites = records
+    .map((record) => scoreCustomIndex(record, config)?.composite)
+    .filter((composite) => composite !== undefined)
+    .sort((a, b) => a - b);
+  if (composites.length === 0) return null;
+
+  const countBelow = (value) => {
+    let low = 0;
+    let high = composites.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (composites[mid] < value) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+  return (nriData) => {
+    const result = scoreCustomIndex(nriData, config);
+    return result && { ...result, score: (countBelow(result.composite) / composites.length) * 100 };
+  };
+}
+
+// Shareable form for the `index` URL parameter: the weights that differ from
+// 1 plus the adjustments, e.g. "drought:5,hail:4,sovi". "equal" for none.
+export function encodeCustomIndex(config) {
+  const parts = Object.keys(HAZARD_CONFIG)
+    .filter((id) => config.weights[id] !== DEFAULT_WEIGHT)
+    .map((id) => `${id}:${config.weights[id]}`);
+  if (config.sovi) parts.push("sovi");
+  if (config.resl) parts.push("resl");
+  return parts.join(",") || "equal";
+}
+
+export function decodeCustomIndex(text) {
+  if (!text) return null;
+  const config = { weights: {}, sovi: false, resl: false };
+  for (const part of text.split(",")) {
+    const [id, weight] = part.split(":");
+    if (id === "sovi" || id === "resl") config[id] = true;
+    else if (HAZARD_CONFIG[id] && weight !== undefined) config.weights[id] = weight;
+  }
+  return normalizeCustomIndex(config);
+}
+
+// { enabled, config } as last used; localStorage can be missing or throw
+export function loadCustomIndex() {
+  try {
+    const saved = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) ?? "null");
+    return saved ? { enabled: Boolean(saved.enabled), config: normalizeCustomIndex(saved.config) } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function saveCustomIndex(customIndex) {
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(customIndex));
+  } catch (e) {
+    // Not persisted
+  }
+}
+
+// Named presets the user saved, as [{ name, config }]
+export function loadSavedPresets() {
+  try {
+    const saved = JSON.parse(globalThis.localStorage?.getItem(PRESETS_STORAGE_KEY) ?? "[]");
+    return Array.isArray(saved)
+      ? saved.filter((p) => typeof p?.name === "string").map((p) => ({ name: p.name, config: normalizeCustomIndex(p.config) }))
+      : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveSavedPresets(presets) {
+  try {
+    globalThis.localStorage?.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  } catch (e) {
+    // Not persisted
+  }
+}
@@ -0,0 +1,79 @@
+// Persistent response cache backed by IndexedDB. Entries carry the cache
+// version they were written under, so bumping CACHE_VERSION (e.g. for a new
+// NRI release) invalidates everything at once. Where IndexedDB is missing or
+// blocked (private browsing, Node) entries live in memory for the session.
+
+const CACHE_DB = "disaster-risk-cache";
+const CACHE_STORE = "responses";
+export const CACHE_VERSION = "nri-1.20.1";
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+const memoryStore = new Map();
+
+function openCacheDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(CACHE_DB, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE, { keyPath: "key" });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+function runTransaction(db, mode, operation) {
+  return new Promise((resolve) => {
+    try {
+      const request = operation(db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE));
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => resolve(null);
+    } catch (e) {
+      resolve(null);
+    }
+  });
+}
+
+export async function cacheGet(key) {
+  const db = await openCacheDb();
+  const entry = db ? await runTransaction(db, "readonly", (store) => store.get(key)) : memoryStore.get(key);
+  return entry && entry.version === CACHE_VERSION ? entry : null;
+}
+
+export async function cachePut(key, value, ttlMs) {
+  const storedAt = Date.now();
+  const entry = { key, value, version: CACHE_VERSION, storedAt, expiresAt: ttlMs === Infinity ? Infinity : storedAt + ttlMs };
+  const db = await openCacheDb();
+  if (db) await runTransaction(db, "readwrite", (store) => store.put(entry));
+  else memoryStore.set(key, entry);
+}
+
+export async function cacheClear() {
+  const db = await openCacheDb();
+  if (db) await runTransaction(db, "readwrite", (store) => store.clear());
+  memoryStore.clear();
+}
+
+// Returns { value, source, fetchedAt, stale }. Fresh entries are served from
+// the cache; otherwise the loader runs, and if it fails an expired entry is
+// served rather than failing outright.
+export async function withCache(key, ttlMs, loader) {
+  const entry = await cacheGet(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return { value: entry.value, source: "cache", fetchedAt: entry.storedAt, stale: false };
+  }
+
+  try {
+    const value = await loader();
+    cachePut(key, value, ttlMs);
+    return { value, source: "live", fetchedAt: Date.now(), stale: false };
+  } catch (err) {
+    // A cancelled request isn't an outage; let the caller see the cancellation
+    if (entry && err?.name !== "AbortError") return { value: entry.value, source: "cache", fetchedAt: entry.storedAt, stale: true };
+    throw err;
+  }
+}
@@ -0,0 +1,170 @@
+// "Download data": the NRI record behind a result together with the values the
+// app derives from it, as JSON or a one-row CSV. The schema is documented in
+// README.md under "Data Export". Fields are only ever added; bump
+// DATA_EXPORT_SCHEMA_VERSION if one is renamed, removed or changes meaning.
+
+import { HAZARD_CONFIG } from "./hazards.js";
+import { PROVIDERS } from "./http.js";
+import { assessRecord, getRiskRating, getGeocoderChain } from "./riskEngine.js";
+import { toCSV } from "./csv.js";
+
+export const DATA_EXPORT_SCHEMA_VERSION = 1;
+
+const isoDate = (time) => (time ? new Date(time).toISOString() : null);
+
+function providerLabel(id) {
+  if (!id) return null;
+  return getGeocoderChain().find((g) => g.id === id)?.label ?? PROVIDERS[id] ?? id;
+}
+
+function exportSource(source) {
+  return source ? { source: source.source, fetchedAt: isoDate(source.fetchedAt), stale: Boolean(source.stale) } : null;
+}
+
+// `scoredCounty` is the FIPS whose record is in `nriData`, or "blended" for a
+// share-weighted blend of a split ZIP's counties
+export function buildDataExport({ location, nriData, scoredCounty, sources, horizonYears = 1, exportedAt = Date.now() }) {
+  const { indices, combined, hazards, nriVersion } = assessRecord(nriData, { horizonYears });
+  return {
+    schemaVersion: DATA_EXPORT_SCHEMA_VERSION,
+    exportedAt: isoDate(exportedAt),
+    nriVersion,
+    horizonYears,
+    location: {
+      queryType: location.queryType,
+      matchedAddress: location.matchedAddress,
+      zip: location.zip ?? null,
+      scoredCounty: scoredCounty ?? location.fips,
+      fips: location.fips,
+      countyName: location.countyName,
+      stateName: location.stateName,
+      lat: location.lat,
+      lng: location.lng,
+      tractFips: location.tractFips ?? null,
+      provider: location.geocoder ?? null,
+      providerLabel: providerLabel(location.geocoder),
+      counties: location.counties.map(({ fips, countyName, share }) => ({ fips, countyName, share })),
+    },
+    sources: { location: exportSource(sources?.location), nri: exportSource(sources?.nri) },
+    indices: {
+      ...indices,
+      risk: { ...indices.risk, ratingLabel: getRiskRating(indices.risk.score).label },
+    },
+    combined,
+    hazards: hazards.map(({ losses, ...hazard }) => ({
+      ...hazard,
+      ratingLabel: getRiskRating(hazard.score).label,
+      losses: { ...losses, components: losses.components.map(({ color, ...component }) => component) },
+    })),
+    nri: nriData,
+  };
+}
+
+// Columns of the CSV export, in order. Every NRI field follows as nri_<FIELD>.
+export const DATA_EXPORT_COLUMNS = [
+  "schema_version",
+  "exported_at",
+  "nri_version",
+  "horizon_years",
+  "query_type",
+  "matched_address",
+  "zip",
+  "scored_county",
+  "county_fips",
+  "county_name",
+  "state",
+  "lat",
+  "lng",
+  "tract_fips",
+  "provider",
+  "provider_label",
+  "counties",
+  "location_source",
+  "location_fetched_at",
+  "nri_source",
+  "nri_fetched_at",
+  "nri_stale",
+  "risk_score",
+  "risk_rating",
+  "risk_rating_label",
+  "eal_score",
+  "eal_rating",
+  "eal_dollars",
+  "sovi_score",
+  "sovi_rating",
+  "resl_score",
+  "resl_rating",
+  "any_hazard_annual_odds",
+  "any_hazard_horizon_odds",
+  ...Object.keys(HAZARD_CONFIG).flatMap((id) => [
+    `${id}_applicable`,
+    `${id}_score`,
+    `${id}_rating`,
+    `${id}_rating_label`,
+    `${id}_odds_text`,
+    `${id}_annual_odds`,
+    `${id}_horizon_odds`,
+    `${id}_eal_dollars`,
+  ]),
+];
+
+export function flattenDataExport(data) {
+  const { location, sources, indices, combined } = data;
+  const record = {
+    schema_version: data.schemaVersion,
+    exported_at: data.exportedAt,
+    nri_version: data.nriVersion,
+    horizon_years: data.horizonYears,
+    query_type: location.queryType,
+    matched_address: location.matchedAddress,
+    zip: location.zip,
+    scored_county: location.scoredCounty,
+    county_fips: location.fips,
+    county_name: location.countyName,
+    state: location.stateName,
+    lat: location.lat,
+    lng: location.lng,
+    tract_fips: location.tractFips,
+    provider: location.provider,
+    provider_label: location.providerLabel,
+    counties: location.counties.map((c) => `${c.fips}:${c.share}`).join(";"),
+    location_source: sources.location?.source,
+    location_fetched_at: sources.location?.fetchedAt,
+    nri_source: sources.nri?.source,
+    nri_fetched_at: sources.nri?.fetchedAt,
+    nri_stale: sources.nri?.stale,
+    risk_score: indices.risk.score,
+    risk_rating: indices.risk.rating,
+    risk_rating_label: indices.risk.ratingLabel,
+    eal_score: indices.expectedLoss.score,
+    eal_rating: indices.expectedLoss.rating,
+    eal_dollars: indices.expectedLoss.dollars,
+    sovi_score: indices.socialVulnerability.score,
+    sovi_rating: indices.socialVulnerability.rating,
+    resl_score: indices.communityResilience.score,
+    resl_rating: indices.communityResilience.rating,
+    any_hazard_annual_odds: combined.annual,
+    any_hazard_horizon_odds: combined.horizon,
+  };
+  for (const hazard of data.hazards) {
+    record[`${hazard.id}_applicable`] = hazard.applicable;
+    record[`${hazard.id}_score`] = hazard.score;
+    record[`${hazard.id}_rating`] = hazard.rating;
+    record[`${hazard.id}_rating_label`] = hazard.ratingLabel;
+    record[`${hazard.id}_odds_text`] = hazard.odds.text;
+    record[`${hazard.id}_annual_odds`] = hazard.odds.annual;
+    record[`${hazard.id}_horizon_odds`] = hazard.odds.horizon;
+    record[`${hazard.id}_eal_dollars`] = hazard.losses.total;
+  }
+  for (const [field, value] of Object.entries(data.nri ?? {})) record[`nri_${field}`] = value;
+  return record;
+}
+
+export function dataExportToCSV(data) {
+  const nriColumns = Object.keys(data.nri ?? {}).map((field) => `nri_${field}`);
+  return toCSV([...DATA_EXPORT_COLUMNS, ...nriColumns], [flattenDataExport(data)]);
+}
+
+export function dataExportFileName(data, extension) {
+  return `disaster-risk-${data.location.scoredCounty}-${data.exportedAt.slice(0, 10)}.${extension}`;
+}
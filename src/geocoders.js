@@ -0,0 +1,194 @@
+// ZIP → county geocoding as an ordered chain of providers. Each provider is
+// tried in turn until one resolves the ZIP; if none does, their errors are
+// combined so the user can tell a bad ZIP from a service outage.
+//
+// A provider is { id, label, resolveZip(zip, options) } and resolves to
+//   { fips, countyName, stateName, lat, lng, matchedAddress, counties? }
+// where `counties` ([{ fips, countyName, share }]) is set only when the
+// provider knows how the ZIP splits across counties. Returning null means
+// "can't answer here" (e.g. data not installed) and moves on without an error.
+// `options` carries `signal` and an optional `fetch`; pass both to fetchJSON.
+//
+// Every external service URL goes through serviceUrl(), so tests can point
+// the whole app at a local stub server:
+//   configureGeocoders({ stubUrl: "http://localhost:4010" })
+// or at build time with VITE_GEOCODER_STUB_URL. The stub then serves
+// /zippopotam/us/<zip>, /fcc/area?lat=..., /census/onelineaddress?...,
+// /tigerweb/<layer>/query?... and /crosswalk (the crosswalk JSON).
+
+import { fetchJSON, ProviderError, isAbortError, combineProviderErrors } from "./http.js";
+
+const DEFAULT_SERVICE_URLS = {
+  zippopotam: "https://api.zippopotam.us",
+  fcc: "https://geo.fcc.gov/api/census",
+  census: "https://geocoding.geo.census.gov/geocoder/geographies",
+  tigerweb: "https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/tigerWMS_Current/MapServer",
+  crosswalk: "/zip-crosswalk.json",
+};
+
+const DEFAULT_ORDER = ["crosswalk", "zippopotam", "census"];
+
+const registry = new Map();
+let serviceUrls = { ...DEFAULT_SERVICE_URLS };
+let order = [...DEFAULT_ORDER];
+
+export function serviceUrl(service) {
+  return serviceUrls[service];
+}
+
+export function registerGeocoder(provider) {
+  if (!provider?.id || typeof provider.resolveZip !== "function") {
+    throw new TypeError("A geocoder needs an id and a resolveZip(zip, options) function.");
+  }
+  registry.set(provider.id, provider);
+  if (!order.includes(provider.id)) order.push(provider.id);
+}
+
+// `order` lists provider ids to try (omitted ids are disabled), `serviceUrls`
+// overrides individual endpoints, and `stubUrl` redirects every service to
+// `${stubUrl}/${service}`. Calling with no options restores the defaults.
+export function configureGeocoders({ order: nextOrder, serviceUrls: overrides, stubUrl } = {}) {
+  const unknown = (nextOrder || []).filter((id) => !registry.has(id));
+  if (unknown.length) throw new Error(`Unknown geocoder: ${unknown.join(", ")}`);
+
+  const stubbed = stubUrl
+    ? Object.fromEntries(Object.keys(DEFAULT_SERVICE_URLS).map((service) => [service, `${stubUrl.replace(/\/$/, "")}/${service}`]))
+    : {};
+  serviceUrls = { ...DEFAULT_SERVICE_URLS, ...stubbed, ...overrides };
+  order = nextOrder ? [...nextOrder] : [...DEFAULT_ORDER, ...[...registry.keys()].filter((id) => !DEFAULT_ORDER.includes(id))];
+  crosswalkPromise = null;
+}
+
+export function getGeocoderChain() {
+  return order.map((id) => registry.get(id)).filter(Boolean);
+}
+
+// `options.geocoders` (provider objects) replaces the configured chain for one call
+export async function resolveZip(zip, options = {}) {
+  const errors = [];
+  for (const provider of options.geocoders || getGeocoderChain()) {
+    try {
+      const location = await provider.resolveZip(zip, options);
+      if (location) return { ...location, geocoder: provider.id };
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      errors.push(err);
+    }
+  }
+  if (errors.length === 0) throw new ProviderError("unknown", "bad_request", "No ZIP geocoder is configured.");
+  throw combineProviderErrors(errors, `ZIP code ${zip} wasn't found. Please check it and try again.`);
+}
+
+// FCC Area API (free, no key): county containing a lat/lng point, or null
+export async function countyFromPoint(lat, lng, options = {}) {
+  const data = await fetchJSON(`${serviceUrl("fcc")}/area?lat=${lat}&lon=${lng}&format=json`, { ...options, provider: "fcc" });
+  const result = data?.results?.[0];
+  if (!result?.county_fips) return null;
+  return { fips: result.county_fips, countyName: result.county_name, stateName: result.state_name };
+}
+
+// ─── BUILT-IN PROVIDERS ──────────────────────────────────────────────
+
+// Bundled ZIP → county crosswalk written by `npm run crosswalk`. Needs no
+// network once the file is loaded (the service worker keeps it offline).
+// Format: { source, generatedAt, counties: { [fips]: [countyName, stateName] },
+//           zips: { [zip]: [lat, lng, fips, share, fips, share, ...] } }
+let crosswalkPromise = null;
+
+function loadCrosswalk(options) {
+  if (!crosswalkPromise) {
+    crosswalkPromise = fetchJSON(serviceUrl("crosswalk"), { ...options, provider: "crosswalk", retries: 0 }).then((data) => {
+      if (!data?.zips || !data?.counties) throw new ProviderError("crosswalk", "malformed");
+      return data;
+    });
+    // A missing file stays missing for the session; only a cancelled load is retried
+    crosswalkPromise.catch((err) => {
+      if (isAbortError(err)) crosswalkPromise = null;
+    });
+  }
+  return crosswalkPromise;
+}
+
+registerGeocoder({
+  id: "crosswalk",
+  label: "Bundled ZIP–county crosswalk",
+  async resolveZip(zip, options = {}) {
+    let crosswalk;
+    try {
+      crosswalk = await loadCrosswalk(options);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      return null; // Not installed on this deployment
+    }
+
+    const row = crosswalk.zips[zip];
+    // ZCTAs skip PO-box and single-building ZIPs, so a miss isn't conclusive
+    if (!row) throw new ProviderError("crosswalk", "not_found");
+    const [lat, lng, ...pairs] = row;
+    const counties = [];
+    for (let i = 0; i < pairs.length; i += 2) {
+      const [countyName] = crosswalk.counties[pairs[i]] || [];
+      counties.push({ fips: pairs[i], countyName, share: pairs[i + 1] });
+    }
+    counties.sort((a, b) => b.share - a.share);
+    const [, stateName] = crosswalk.counties[counties[0].fips] || [];
+    return {
+      fips: counties[0].fips,
+      countyName: counties[0].countyName,
+      stateName,
+      lat,
+      lng,
+      matchedAddress: `ZIP ${zip} (${counties[0].countyName}, ${stateName})`,
+      counties,
+    };
+  },
+});
+
+// Zippopotam.us (free, no key) gives lat/lng and state; the FCC Area API then
+// gives the county at that point
+registerGeocoder({
+  id: "zippopotam",
+  label: "Zippopotam.us + FCC Area API",
+  async resolveZip(zip, options = {}) {
+    const zipData = await fetchJSON(`${serviceUrl("zippopotam")}/us/${zip}`, { ...options, provider: "zippopotam" });
+    const place = zipData.places?.[0];
+    if (!place) throw new ProviderError("zippopotam", "not_found");
+    const lat = parseFloat(place.latitude);
+    const lng = parseFloat(place.longitude);
+
+    const county = await countyFromPoint(lat, lng, options);
+    if (!county) throw new ProviderError("fcc", "not_found");
+    return {
+      fips: county.fips,
+      countyName: county.countyName,
+      stateName: place.state,
+      lat,
+      lng,
+      matchedAddress: `${place["place name"]}, ${place["state abbreviation"]} ${zip}`,
+    };
+  },
+});
+
+// Census Bureau geocoder (free, no key, but sometimes unreliable)
+registerGeocoder({
+  id: "census",
+  label: "Census Bureau Geocoder",
+  async resolveZip(zip, options = {}) {
+    const url = `${serviceUrl("census")}/onelineaddress?address=${zip}&benchmark=Public_AR_Current&vintage=Current_Current&format=json`;
+    const data = await fetchJSON(url, { ...options, provider: "census" });
+    const match = data?.result?.addressMatches?.[0];
+    const county = match?.geographies?.Counties?.[0];
+    if (!county) throw new ProviderError("census", "not_found");
+    return {
+      fips: county.STATE + county.COUNTY,
+      countyName: county.NAME,
+      stateName: match.addressComponents?.state,
+      lat: parseFloat(match.coordinates.y),
+      lng: parseFloat(match.coordinates.x),
+      matchedAddress: match.matchedAddress,
+    };
+  },
+});
+
+const envStubUrl = import.meta.env?.VITE_GEOCODER_STUB_URL;
+if (envStubUrl) configureGeocoders({ stubUrl: envStubUrl });
@@ -0,0 +1,211 @@
+// NRI hazard definitions and the dataset fields the app reads. Kept free of
+// JSX so the Node scripts in scripts/ can share them with the app.
+
+export const HAZARD_CONFIG = {
+  earthquake: {
+    key: "ERQK",
+    label: "Earthquake",
+    icon: "🌍",
+    color: "#b08d57",
+    frequencyBasis: "probability",
+    eventLabel: "ground shaking strong enough to cause damage",
+    description: "Sudden ground shaking caused by seismic waves from tectonic plate movement.",
+    methodology: "Based on USGS probabilistic seismic hazard data integrated into FEMA's NRI. Uses Hazus earthquake loss estimation methodology to model expected annual losses from ground shaking, liquefaction, and landslide.",
+  },
+  hurricane: {
+    key: "HRCN",
+    label: "Hurricane",
+    icon: "🌀",
+    color: "#5b8fa8",
+    frequencyBasis: "events",
+    eventLabel: "hurricane-force winds",
+    description: "Tropical cyclones with sustained winds of 74+ mph causing wind damage, storm surge, and flooding.",
+    methodology: "Uses NOAA/NHC historical hurricane track data and Hazus hurricane wind model. Accounts for wind speed probability, storm surge, and rainfall-induced flooding over a multi-decade historical period.",
+  },
+  tornado: {
+    key: "TRND",
+    label: "Tornado",
+    icon: "🌪️",
+    color: "#7d6b91",
+    frequencyBasis: "events",
+    eventLabel: "a tornado touchdown",
+    description: "Violently rotating columns of air extending from thunderstorms to the ground.",
+    methodology: "Based on NOAA Storm Prediction Center historical tornado data. Uses spatial smoothing of tornado touchdown locations weighted by Enhanced Fujita scale intensity ratings.",
+  },
+  flood: {
+    key: "RFLD",
+    label: "Flooding",
+    icon: "🌊",
+    color: "#4a8c7f",
+    frequencyBasis: "eventDays",
+    eventLabel: "a day of riverine flooding",
+    description: "Inland flooding from rivers, streams, and heavy rainfall overwhelming drainage systems.",
+    methodology: "Combines FEMA National Flood Hazard Layer (NFHL) data with USGS streamflow records and historical flood loss data. Includes both riverine (fluvial) and rainfall (pluvial) flooding.",
+  },
+  wildfire: {
+    key: "WFIR",
+    label: "Wildfire",
+    icon: "🔥",
+    color: "#c27a5a",
+    frequencyBasis: "probability",
+    eventLabel: "wildfire burning a given location",
+    description: "Uncontrolled fires in wildland-urban interface areas fueled by vegetation and weather conditions.",
+    methodology: "Uses USGS wildfire burn probability data and historical wildfire perimeter records. Accounts for wildland-urban interface exposure, vegetation fuel loads, and fire weather climatology.",
+  },
+  coastalFlood: {
+    key: "CFLD",
+    label: "Coastal Flooding",
+    icon: "🏖️",
+    color: "#3f7f9e",
+    frequencyBasis: "eventDays",
+    eventLabel: "a day of coastal flooding",
+    description: "Inundation of coastal land by seawater from storm surge, high tides, and sea-level rise.",
+    methodology: "Uses NOAA storm surge (SLOSH) inundation zones and high-tide flooding records. Exposure is limited to census blocks within mapped coastal flood hazard areas.",
+  },
+  drought: {
+    key: "DRGT",
+    label: "Drought",
+    icon: "🏜️",
+    color: "#b5944a",
+    frequencyBasis: "eventDays",
+    eventLabel: "a day in drought",
+    description: "Extended periods of below-normal precipitation that deplete soil moisture and water supplies.",
+    methodology: "Based on the US Drought Monitor weekly record. Expected annual loss is modeled for agriculture only, using USDA crop and livestock values as exposure.",
+  },
+  hail: {
+    key: "HAIL",
+    label: "Hail",
+    icon: "🧊",
+    color: "#7a9bb5",
+    frequencyBasis: "eventDays",
+    eventLabel: "a day with damaging hail",
+    description: "Balls of ice falling from severe thunderstorms that damage roofs, vehicles, and crops.",
+    methodology: "Based on NOAA Storm Prediction Center severe weather reports of hail one inch or larger, spatially smoothed to reduce reporting bias toward populated areas.",
+  },
+  heatWave: {
+    key: "HWAV",
+    label: "Heat Wave",
+    icon: "🌡️",
+    color: "#c9694a",
+    frequencyBasis: "eventDays",
+    eventLabel: "a heat wave day",
+    description: "Periods of abnormally and uncomfortably hot weather lasting two or more days.",
+    methodology: "Uses NOAA National Centers for Environmental Information (NCEI) storm event records. Losses are modeled primarily as population impacts and agricultural damage.",
+  },
+  iceStorm: {
+    key: "ISTM",
+    label: "Ice Storm",
+    icon: "🌨️",
+    color: "#6f9cb8",
+    frequencyBasis: "eventDays",
+    eventLabel: "a day with ice storm conditions",
+    description: "Freezing rain that accumulates as ice on surfaces, downing trees and power lines.",
+    methodology: "Based on NOAA NCEI storm event records of ice accumulation, gridded and smoothed to estimate annualized frequency across each county.",
+  },
+  landslide: {
+    key: "LNDS",
+    label: "Landslide",
+    icon: "⛰️",
+    color: "#8c6d4f",
+    frequencyBasis: "events",
+    eventLabel: "a recorded landslide",
+    description: "Downslope movement of rock, earth, or debris triggered by rainfall, erosion, or earthquakes.",
+    methodology: "Uses USGS landslide susceptibility mapping and historical landslide inventories. Exposure is limited to areas of moderate or higher susceptibility.",
+  },
+  lightning: {
+    key: "LTNG",
+    label: "Lightning",
+    icon: "⚡",
+    color: "#a89a3f",
+    frequencyBasis: "events",
+    eventLabel: "a lightning strike",
+    description: "Electrical discharges from thunderstorms that can cause fires, injuries, and equipment damage.",
+    methodology: "Based on Vaisala National Lightning Detection Network flash density data combined with NOAA NCEI records of lightning-related losses.",
+  },
+  strongWind: {
+    key: "SWND",
+    label: "Strong Wind",
+    icon: "💨",
+    color: "#7f8c9a",
+    frequencyBasis: "eventDays",
+    eventLabel: "a day with damaging wind",
+    description: "Damaging non-tornadic winds of 58+ mph from thunderstorms and other weather systems.",
+    methodology: "Based on NOAA Storm Prediction Center severe wind reports, spatially smoothed and combined with NCEI historical loss records.",
+  },
+  tsunami: {
+    key: "TSUN",
+    label: "Tsunami",
+    icon: "〰️",
+    color: "#35708a",
+    frequencyBasis: "events",
+    eventLabel: "a tsunami runup",
+    description: "Series of large ocean waves caused by undersea earthquakes, landslides, or volcanic eruptions.",
+    methodology: "Uses NOAA National Geophysical Data Center tsunami runup records and state-mapped tsunami inundation zones for Pacific and Caribbean coastlines.",
+  },
+  volcanic: {
+    key: "VLCN",
+    label: "Volcanic Activity",
+    icon: "🌋",
+    color: "#a0523d",
+    frequencyBasis: "events",
+    eventLabel: "a volcanic eruption",
+    description: "Eruptions producing lava flows, ashfall, pyroclastic flows, and volcanic mudflows.",
+    methodology: "Based on the Smithsonian Global Volcanism Program eruption record and USGS volcano hazard zones. Applies only to counties near Holocene volcanoes.",
+  },
+  winterWeather: {
+    key: "WNTW",
+    label: "Winter Weather",
+    icon: "❄️",
+    color: "#6b8fb3",
+    frequencyBasis: "eventDays",
+    eventLabel: "a day of severe winter weather",
+    description: "Heavy snow, blizzards, and freezing conditions that disrupt travel and damage structures.",
+    methodology: "Uses NOAA NCEI storm event records for winter storms, blizzards, and heavy snow, gridded to estimate annualized frequency and historic loss ratios.",
+  },
+  coldWave: {
+    key: "CWAV",
+    label: "Cold Wave",
+    icon: "🥶",
+    color: "#5a7fa6",
+    frequencyBasis: "eventDays",
+    eventLabel: "a cold wave day",
+    description: "Rapid falls in temperature to extreme lows over a large area, lasting several days.",
+    methodology: "Based on NOAA NCEI storm event records of extreme cold and wind chill. Losses are modeled as population impacts and agricultural damage.",
+  },
+  avalanche: {
+    key: "AVLN",
+    label: "Avalanche",
+    icon: "🏔️",
+    color: "#8a9bab",
+    frequencyBasis: "events",
+    eventLabel: "a damaging avalanche",
+    description: "Rapid flow of snow down a mountain slope, typically in steep terrain after heavy snowfall.",
+    methodology: "Uses Colorado Avalanche Information Center and NOAA NCEI fatality and damage records. Applies only to mountainous counties with a history of avalanche events.",
+  },
+};
+
+export const NRI_VERSION = "1.20";
+export const NRI_BASE = "https://www.fema.gov/api/open/v1/NriCountyData";
+export const NRI_TRACT_BASE = "https://www.fema.gov/api/open/v1/NriCensusTractData";
+export const DECLARATIONS_BASE = "https://www.fema.gov/api/open/v2/DisasterDeclarationsSummaries";
+export const NFIP_CLAIMS_BASE = "https://www.fema.gov/api/open/v2/FimaNfipClaims";
+export const NFIP_POLICIES_BASE = "https://www.fema.gov/api/open/v2/FimaNfipPolicies";
+
+// Per-hazard NRI fields, requested as `${key}_${suffix}` for every entry in HAZARD_CONFIG
+export const HAZARD_FIELDS = [
+  "RISKS", "RISKR", "EALS", "EALR", "APTS",
+  "EALT", "EALB", "EALPE", "EALA",
+  "EXPT", "EXPB", "EXPPE", "EXPA",
+];
+
+// Fields shared by the county and census tract datasets
+export const NRI_FIELDS = [
+  "county", "state",
+  ...Object.values(HAZARD_CONFIG).flatMap(({ key }) => HAZARD_FIELDS.map((suffix) => `${key}_${suffix}`)),
+  "RISK_SCORE", "RISK_RATNG",
+  "EAL_SCORE", "EAL_RATNG",
+  "EAL_VALT", "EAL_VALB", "EAL_VALPE", "EAL_VALA",
+  "SOVI_SCORE", "SOVI_RATNG",
+  "RESL_SCORE", "RESL_RATNG",
+  "stateCode", "countyCode",
+];
@@ -0,0 +1,170 @@
+// JSON fetching for every external provider: per-request timeout, abort
+// support, bounded retries with exponential backoff, and structured errors
+// that say which provider failed and why.
+
+export const PROVIDERS = {
+  zippopotam: "Zippopotam.us",
+  fcc: "FCC Area API",
+  census: "Census Bureau Geocoder",
+  tigerweb: "Census TIGERweb",
+  openfema: "FEMA OpenFEMA API",
+  snapshot: "NRI snapshot",
+  crosswalk: "ZIP–county crosswalk",
+};
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+
+// Failure kinds. Only transient ones are retried.
+export const ERROR_KINDS = {
+  not_found: { retry: false, text: "no match found" },
+  bad_request: { retry: false, text: "rejected the request" },
+  rate_limited: { retry: true, text: "rate limit reached" },
+  server: { retry: true, text: "server error" },
+  timeout: { retry: true, text: "timed out" },
+  network: { retry: true, text: "network unreachable" },
+  malformed: { retry: false, text: "returned an unexpected response" },
+};
+
+export class ProviderError extends Error {
+  constructor(provider, kind, message, { status, cause } = {}) {
+    super(message || `${PROVIDERS[provider] || provider}: ${ERROR_KINDS[kind]?.text || kind}`);
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.kind = kind;
+    this.status = status;
+    this.cause = cause;
+  }
+
+  get providerLabel() {
+    return PROVIDERS[this.provider] || this.provider;
+  }
+
+  // True when the provider (not the user's input) is at fault
+  get isOutage() {
+    return ERROR_KINDS[this.kind]?.retry ?? false;
+  }
+}
+
+export function isAbortError(err) {
+  return err?.name === "AbortError";
+}
+
+function abortError() {
+  return new DOMException("The request was cancelled.", "AbortError");
+}
+
+function kindForStatus(status) {
+  if (status === 404) return "not_found";
+  if (status === 429) return "rate_limited";
+  if (status >= 500) return "server";
+  return "bad_request";
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
+}
+
+function retryDelay(attempt, response) {
+  const retryAfter = Number(response?.headers?.get("Retry-After"));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+  const backoff = BACKOFF_BASE_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * backoff * 0.5, MAX_BACKOFF_MS);
+}
+
+async function attempt(url, { provider, signal, timeoutMs, fetchImpl }) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  try {
+    let response;
+    try {
+      response = await fetchImpl(url, { signal: controller.signal });
+    } catch (err) {
+      if (signal?.aborted) throw abortError();
+      if (timedOut) {
+        throw new ProviderError(provider, "timeout", `${PROVIDERS[provider]}: timed out after ${timeoutMs / 1000}s`, { cause: err });
+      }
+      throw new ProviderError(provider, "network", null, { cause: err });
+    }
+
+    if (!response.ok) {
+      const kind = kindForStatus(response.status);
+      const error = new ProviderError(provider, kind, `${PROVIDERS[provider]}: ${ERROR_KINDS[kind].text} (HTTP ${response.status})`, {
+        status: response.status,
+      });
+      error.response = response;
+      throw error;
+    }
+
+    try {
+      return await response.json();
+    } catch (err) {
+      if (signal?.aborted) throw abortError();
+      throw new ProviderError(provider, "malformed", null, { status: response.status, cause: err });
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// Fetches and parses JSON. Transient failures (network, timeout, 5xx, 429) are
+// retried up to `retries` times; aborting `signal` cancels immediately with an
+// AbortError, which callers should treat as "superseded", not as a failure.
+// `fetch` replaces the global fetch, e.g. to serve local fixtures.
+export async function fetchJSON(
+  url,
+  { provider, signal, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, fetch: fetchImpl = globalThis.fetch } = {}
+) {
+  for (let i = 0; ; i++) {
+    if (signal?.aborted) throw abortError();
+    try {
+      return await attempt(url, { provider, signal, timeoutMs, fetchImpl });
+    } catch (err) {
+      if (isAbortError(err) || !(err instanceof ProviderError) || !err.isOutage || i >= retries) throw err;
+      await sleep(retryDelay(i, err.response), signal);
+    }
+  }
+}
+
+// Sums up why every provider in a fallback chain failed. If every provider
+// answered but none knew the input, the input is at fault.
+export function combineProviderErrors(errors, notFoundMessage) {
+  const notFound = (e) => e instanceof ProviderError && e.kind === "not_found";
+  if (errors.every(notFound)) {
+    return new ProviderError(errors[0]?.provider ?? "unknown", "not_found", notFoundMessage);
+  }
+
+  const outages = errors.filter((e) => !notFound(e));
+  const summary = outages
+    .map((e) => (e instanceof ProviderError ? `${e.providerLabel} (${ERROR_KINDS[e.kind]?.text || e.kind})` : e.message))
+    .join(", ");
+  const first = outages.find((e) => e instanceof ProviderError);
+  const combined = new ProviderError(
+    first?.provider ?? "unknown",
+    first?.kind ?? "network",
+    `Location services are unavailable right now: ${summary}. This is not a problem with your input — please try again shortly.`
+  );
+  combined.errors = errors;
+  return combined;
+}
@@ -0,0 +1,199 @@
+// Preparedness plan: baseline actions every household needs, plus
+// hazard-specific ones for the location's highest-rated hazards. Which items
+// are done is kept in localStorage by item id, so progress carries across
+// locations (a strapped water heater is strapped wherever you look it up).
+
+import { HAZARD_CONFIG } from "./hazards.js";
+import { RISK_RATINGS, getRiskRating, isHazardApplicable } from "./riskEngine.js";
+
+const STORAGE_KEY = "disaster-risk-preparedness";
+
+export const ACTION_CATEGORIES = {
+  supplies: "Go-bag & supplies",
+  insurance: "Insurance",
+  home: "Home hardening",
+  evacuation: "Evacuation & planning",
+};
+
+export const GENERAL_ACTIONS = [
+  { id: "water", category: "supplies", text: "Store water: one gallon per person per day for at least three days" },
+  { id: "food", category: "supplies", text: "Keep three days of non-perishable food and a manual can opener" },
+  { id: "medical", category: "supplies", text: "Pack prescription medications, spare glasses and a first-aid kit" },
+  { id: "power", category: "supplies", text: "Flashlights, a battery or hand-crank radio, spare batteries and phone power banks" },
+  { id: "documents", category: "supplies", text: "Copies of IDs, insurance policies and deeds in a waterproof bag or stored securely online" },
+  { id: "policy-review", category: "insurance", text: "Review your homeowners or renters policy: exclusions, deductibles and replacement cost" },
+  { id: "inventory", category: "insurance", text: "Make a home inventory with photos or video of each room" },
+  { id: "contacts", category: "evacuation", text: "Write a family communication plan with an out-of-area contact and a meeting place" },
+  { id: "alerts", category: "evacuation", text: "Sign up for local emergency alerts and turn on Wireless Emergency Alerts" },
+];
+
+export const HAZARD_ACTIONS = {
+  earthquake: [
+    { id: "strap", category: "home", text: "Strap the water heater and anchor tall furniture and TVs to wall studs" },
+    { id: "retrofit", category: "home", text: "Have a contractor check for a bolted foundation and braced cripple walls" },
+    { id: "insurance", category: "insurance", text: "Look into an earthquake policy or rider; standard homeowners policies exclude earthquake damage" },
+    { id: "bedside", category: "supplies", text: "Keep sturdy shoes and a flashlight by each bed" },
+    { id: "drill", category: "evacuation", text: "Practice Drop, Cover and Hold On and pick a safe spot in each room" },
+  ],
+  hurricane: [
+    { id: "roof", category: "home", text: "Install roof straps or hurricane clips, and impact-rated shutters or pre-cut plywood" },
+    { id: "flood-insurance", category: "insurance", text: "Get NFIP or private flood insurance (storm surge is flood damage) and check your windstorm deductible" },
+    { id: "zone", category: "evacuation", text: "Look up your evacuation zone and route, and where you would stay inland" },
+    { id: "season-kit", category: "supplies", text: "Stock two weeks of water, food and medication before the season starts in June" },
+  ],
+  tornado: [
+    { id: "shelter", category: "evacuation", text: "Choose a shelter: a basement, or an interior room without windows on the lowest floor" },
+    { id: "helmets", category: "supplies", text: "Keep helmets, sturdy shoes and a whistle in the shelter spot" },
+    { id: "radio", category: "supplies", text: "Get a NOAA Weather Radio with battery backup" },
+    { id: "safe-room", category: "home", text: "Consider a safe room built to FEMA P-361 or ICC 500" },
+  ],
+  flood: [
+    { id: "nfip", category: "insurance", text: "Buy NFIP or private flood insurance; homeowners policies exclude floods and NFIP cover starts after 30 days" },
+    { id: "elevate", category: "home", text: "Raise the furnace, water heater and electrical panel above likely flood levels" },
+    { id: "sump", category: "home", text: "Install flood vents, backflow valves, or a sump pump with battery backup" },
+    { id: "route", category: "evacuation", text: "Know your route to higher ground; never walk or drive through flood water" },
+    { id: "waterproof", category: "supplies", text: "Keep important papers and valuables in waterproof containers up high" },
+  ],
+  coastalFlood: [
+    { id: "nfip", category: "insurance", text: "Buy NFIP or private flood insurance; homeowners policies exclude coastal flooding" },
+    { id: "elevate", category: "home", text: "Raise utilities above the base flood elevation and use flood-resistant materials below it" },
+    { id: "zone", category: "evacuation", text: "Learn your evacuation zone and leave when told to; surge arrives fast" },
+  ],
+  wildfire: [
+    { id: "zone0", category: "home", text: "Keep the first five feet around the house free of anything that burns, and gutters clear" },
+    { id: "vents", category: "home", text: "Fit ember-resistant vents and a Class A roof" },
+    { id: "coverage", category: "insurance", text: "Confirm your policy covers wildfire and additional living expenses at today's rebuild costs" },
+    { id: "two-ways", category: "evacuation", text: "Know two ways out, keep the car fueled, and leave at the evacuation warning" },
+    { id: "masks", category: "supplies", text: "Keep N95 masks for smoke days" },
+  ],
+  drought: [
+    { id: "conserve", category: "home", text: "Fix leaks and use drought-tolerant landscaping and low-flow fixtures" },
+    { id: "stored-water", category: "supplies", text: "Keep extra stored water in case of restrictions or well failure" },
+  ],
+  hail: [
+    { id: "roof", category: "home", text: "Choose impact-resistant (Class 4) roofing when you next replace the roof" },
+    { id: "deductible", category: "insurance", text: "Check whether your policy has a separate wind and hail deductible" },
+    { id: "cover", category: "evacuation", text: "Park under cover when severe storms are forecast" },
+  ],
+  heatWave: [
+    { id: "cool-place", category: "evacuation", text: "Plan where to go to cool off: a cooling center, library or air-conditioned friend" },
+    { id: "shade", category: "home", text: "Add window shades or reflective film and weatherstripping" },
+    { id: "check-in", category: "evacuation", text: "Agree to check on older neighbors and relatives during heat waves" },
+  ],
+  iceStorm: [
+    { id: "backup-heat", category: "supplies", text: "Plan safe backup heat; run generators outdoors only and install CO alarms" },
+    { id: "trees", category: "home", text: "Trim branches that overhang the house and power lines" },
+    { id: "outage-food", category: "supplies", text: "Keep food that needs no cooking for several days without power" },
+  ],
+  landslide: [
+    { id: "signs", category: "home", text: "Watch for new cracks, tilting trees or fences, and sticking doors" },
+    { id: "coverage", category: "insurance", text: "Most policies exclude landslides; ask about difference-in-conditions coverage" },
+    { id: "leave", category: "evacuation", text: "Be ready to leave during intense or prolonged rain if you live on or below a slope" },
+  ],
+  lightning: [
+    { id: "surge", category: "home", text: "Use surge protectors, or a whole-house surge protector at the panel" },
+    { id: "indoors", category: "evacuation", text: "When thunder roars, go indoors and wait 30 minutes after the last thunder" },
+  ],
+  strongWind: [
+    { id: "secure", category: "home", text: "Secure or store outdoor furniture and trim dead branches" },
+    { id: "roof", category: "home", text: "Have roof covering and attachments inspected; add roof straps if missing" },
+    { id: "outage", category: "supplies", text: "Keep an outage kit: lights, batteries and a way to charge phones" },
+  ],
+  tsunami: [
+    { id: "zone", category: "evacuation", text: "Learn your tsunami hazard zone and the walking route to high ground" },
+    { id: "shaking", category: "evacuation", text: "After strong shaking near the coast, move to high ground at once; don't wait for a warning" },
+    { id: "go-bag", category: "supplies", text: "Keep a go-bag by the door you would leave from" },
+  ],
+  volcanic: [
+    { id: "ash-kit", category: "supplies", text: "Keep N95 masks and goggles for ashfall" },
+    { id: "alerts", category: "evacuation", text: "Learn the local volcano alert levels and evacuation routes" },
+    { id: "ash-home", category: "home", text: "Plan to protect electronics and clear ash from roofs and gutters; ash is heavy when wet" },
+  ],
+  winterWeather: [
+    { id: "car-kit", category: "supplies", text: "Keep a winter car kit: blankets, scraper, shovel, sand and snacks" },
+    { id: "pipes", category: "home", text: "Insulate pipes and know where the main water shut-off is" },
+    { id: "heat", category: "supplies", text: "Plan safe backup heat and install CO alarms" },
+  ],
+  coldWave: [
+    { id: "pipes", category: "home", text: "Insulate exposed pipes and let faucets drip during extreme cold" },
+    { id: "warmth", category: "supplies", text: "Keep extra blankets, hats and layers for a heating outage" },
+  ],
+  avalanche: [
+    { id: "forecast", category: "evacuation", text: "Check the avalanche forecast before backcountry travel" },
+    { id: "gear", category: "supplies", text: "Carry a beacon, probe and shovel, and train with them" },
+  ],
+};
+
+const ratingRank = (score) => RISK_RATINGS.indexOf(getRiskRating(score));
+const MODERATE_RANK = RISK_RATINGS.findIndex((r) => r.label === "Relatively Moderate");
+const HIGH_RANK = RISK_RATINGS.findIndex((r) => r.label === "Relatively High");
+const MIN_PLAN_HAZARDS = 3;
+
+// Ranks applicable hazards by score and keeps those rated Relatively Moderate
+// or above (at least the top three). `priority` marks Relatively High and up.
+export function buildPreparednessPlan(nriData) {
+  const ranked = Object.entries(HAZARD_CONFIG)
+    .filter(([, config]) => isHazardApplicable(nriData, config.key))
+    .map(([id, config]) => {
+      const score = nriData?.[`${config.key}_RISKS`];
+      return { id, config, score: typeof score === "number" && score >= 0 ? score : null };
+    })
+    .filter((hazard) => hazard.score !== null)
+    .sort((a, b) => b.score - a.score);
+
+  const hazards = ranked
+    .filter((hazard, i) => i < MIN_PLAN_HAZARDS || ratingRank(hazard.score) >= MODERATE_RANK)
+    .map(({ id, config, score }) => ({
+      id,
+      label: config.label,
+      icon: config.icon,
+      score,
+      rating: nriData?.[`${config.key}_RISKR`] || getRiskRating(score).label,
+      priority: ratingRank(score) >= HIGH_RANK,
+      actions: HAZARD_ACTIONS[id].map((action) => ({ ...action, id: `${id}.${action.id}` })),
+    }));
+
+  const general = GENERAL_ACTIONS.map((action) => ({ ...action, id: `general.${action.id}` }));
+  return { hazards, general, items: [...general, ...hazards.flatMap((h) => h.actions)] };
+}
+
+export function loadCheckedActions() {
+  try {
+    const saved = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) ?? "[]");
+    return new Set(Array.isArray(saved) ? saved : []);
+  } catch (e) {
+    return new Set();
+  }
+}
+
+export function saveCheckedActions(checked) {
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify([...checked]));
+  } catch (e) {
+    // Not persisted
+  }
+}
+
+// Markdown checklist, for download
+export function planToMarkdown(plan, checked, { title, date = new Date() } = {}) {
+  const item = (action) => `- [${checked.has(action.id) ? "x" : " "}] ${action.text}`;
+  const done = plan.items.filter((action) => checked.has(action.id)).length;
+  const lines = [
+    `# Preparedness plan${title ? `: ${title}` : ""}`,
+    "",
+    `${done} of ${plan.items.length} done · ${date.toLocaleDateString("en-US", { dateStyle: "long" })}`,
+    "",
+    "## Every household",
+    "",
+    ...plan.general.map(item),
+  ];
+  for (const hazard of plan.hazards) {
+    lines.push("", `## ${hazard.label} (${hazard.rating})`, "");
+    for (const [category, label] of Object.entries(ACTION_CATEGORIES)) {
+      const actions = hazard.actions.filter((a) => a.category === category);
+      if (actions.length) lines.push(`**${label}**`, "", ...actions.map(item), "");
+    }
+    if (lines[lines.length - 1] === "") lines.pop();
+  }
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,119 @@
+// Optional profile of the user's own home, kept in localStorage. The county's
+// building loss ratio for each hazard (expected annual building loss ÷ building
+// exposure) is applied to the home's value, then scaled by rough planning
+// factors for construction, flood zone and mitigations. The factors are
+// illustrative, not actuarial: they show direction and rough size only.
+
+import { HAZARD_CONFIG } from "./hazards.js";
+import { getLossBreakdown, isHazardApplicable } from "./riskEngine.js";
+
+const STORAGE_KEY = "disaster-risk-property-profile";
+
+// Multipliers by hazard id; hazards not listed are unaffected (1)
+export const CONSTRUCTION_TYPES = {
+  woodFrame: { label: "Wood frame", factors: {} },
+  masonry: {
+    label: "Masonry (brick or block)",
+    factors: { earthquake: 1.4, hurricane: 0.8, tornado: 0.85, strongWind: 0.8, wildfire: 0.7 },
+  },
+  concrete: {
+    label: "Reinforced concrete or steel",
+    factors: { earthquake: 0.7, hurricane: 0.6, tornado: 0.7, strongWind: 0.6, wildfire: 0.5, hail: 0.8 },
+  },
+  manufactured: {
+    label: "Manufactured or mobile home",
+    factors: { hurricane: 2, tornado: 2, strongWind: 2, earthquake: 1.3, flood: 1.3, wildfire: 1.2 },
+  },
+};
+
+export const FLOOD_ZONES = {
+  unknown: { label: "Don't know", factors: {} },
+  high: { label: "High risk (Zone A or V)", factors: { flood: 2.5, coastalFlood: 2.5 } },
+  moderate: { label: "Moderate risk (Zone B or shaded X)", factors: { flood: 1, coastalFlood: 1 } },
+  minimal: { label: "Minimal risk (Zone C or unshaded X)", factors: { flood: 0.3, coastalFlood: 0.3 } },
+};
+
+// Lowest floor above the base flood elevation
+const ELEVATED_FACTORS = { flood: 0.4, coastalFlood: 0.4 };
+
+export const MITIGATIONS = {
+  roofStraps: { label: "Roof straps or hurricane clips", factors: { hurricane: 0.6, tornado: 0.8, strongWind: 0.7 } },
+  seismicRetrofit: { label: "Seismic retrofit (bolted foundation, braced cripple walls)", factors: { earthquake: 0.5 } },
+  defensibleSpace: { label: "Defensible space and ember-resistant vents", factors: { wildfire: 0.6 } },
+  floodVents: { label: "Flood vents", factors: { flood: 0.7, coastalFlood: 0.7 } },
+};
+
+export const DEFAULT_PROFILE = { homeValue: null, construction: "woodFrame", floodZone: "unknown", elevated: false, mitigations: [] };
+
+// Fills in defaults and drops values this version doesn't know, so a profile
+// saved by an older or newer build still loads
+export function normalizeProfile(profile) {
+  const homeValue = Number(profile?.homeValue);
+  return {
+    homeValue: homeValue > 0 ? homeValue : null,
+    construction: CONSTRUCTION_TYPES[profile?.construction] ? profile.construction : DEFAULT_PROFILE.construction,
+    floodZone: FLOOD_ZONES[profile?.floodZone] ? profile.floodZone : DEFAULT_PROFILE.floodZone,
+    elevated: Boolean(profile?.elevated),
+    mitigations: Array.isArray(profile?.mitigations) ? profile.mitigations.filter((id) => MITIGATIONS[id]) : [],
+  };
+}
+
+// localStorage can be missing or throw (private browsing, Node); the profile
+// then lasts for the session only
+export function loadPropertyProfile() {
+  try {
+    const saved = globalThis.localStorage?.getItem(STORAGE_KEY);
+    return saved ? normalizeProfile(JSON.parse(saved)) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function savePropertyProfile(profile) {
+  try {
+    if (profile) globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(profile));
+    else globalThis.localStorage?.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // Not persisted
+  }
+}
+
+function hazardFactor(id, profile, mitigations) {
+  let factor = (CONSTRUCTION_TYPES[profile.construction]?.factors[id] ?? 1) * (FLOOD_ZONES[profile.floodZone]?.factors[id] ?? 1);
+  if (profile.elevated) factor *= ELEVATED_FACTORS[id] ?? 1;
+  for (const mitigation of mitigations) factor *= MITIGATIONS[mitigation].factors[id] ?? 1;
+  return factor;
+}
+
+// Returns null without a home value. Otherwise { total, hazards, mitigations }:
+// the home's estimated annual loss per applicable hazard with building losses,
+// and for every mitigation the yearly loss it avoids (`inPlace`) or would avoid.
+export function estimatePropertyLosses(nriData, profile) {
+  if (!profile?.homeValue) return null;
+
+  const hazards = Object.entries(HAZARD_CONFIG)
+    .filter(([, config]) => isHazardApplicable(nriData, config.key))
+    .map(([id, config]) => {
+      const lossRatio = getLossBreakdown(nriData, config.key).components.find((c) => c.suffix === "B")?.lossRatio;
+      return { id, label: config.label, lossRatio: lossRatio ?? null };
+    })
+    .filter((hazard) => hazard.lossRatio > 0)
+    .map((hazard) => {
+      const factor = hazardFactor(hazard.id, profile, profile.mitigations);
+      return { ...hazard, factor, annualLoss: profile.homeValue * hazard.lossRatio * factor };
+    });
+
+  const totalWith = (mitigations) =>
+    hazards.reduce((sum, h) => sum + profile.homeValue * h.lossRatio * hazardFactor(h.id, profile, mitigations), 0);
+  const total = totalWith(profile.mitigations);
+
+  const mitigations = Object.entries(MITIGATIONS).map(([id, { label }]) => {
+    const inPlace = profile.mitigations.includes(id);
+    const savings = inPlace
+      ? totalWith(profile.mitigations.filter((m) => m !== id)) - total
+      : total - totalWith([...profile.mitigations, id]);
+    return { id, label, inPlace, savings };
+  });
+
+  return { total, hazards, mitigations };
+}
@@ -0,0 +1,379 @@
+// Type declarations for riskEngine.js, the UI-free risk engine.
+
+// ─── OPTIONS ─────────────────────────────────────────────────────────
+
+export type FetchLike = (url: string, init?: { signal?: AbortSignal }) => Promise<Response>;
+
+export interface RequestOptions {
+  /** Cancels every request made for this call; rejects with an AbortError. */
+  signal?: AbortSignal;
+  /** Replaces the global fetch, e.g. to serve local fixtures. */
+  fetch?: FetchLike;
+  /** Set to false to bypass the response cache (IndexedDB, or memory where IndexedDB is unavailable). */
+  cache?: boolean;
+  /** ZIP geocoders to try for this call, replacing the configured chain. */
+  geocoders?: Geocoder[];
+  timeoutMs?: number;
+  retries?: number;
+}
+
+export interface AssessOptions extends RequestOptions {
+  /** Years for the cumulative odds. Defaults to 1. */
+  horizonYears?: number;
+  /** For ZIPs spanning counties: the FIPS to score, or "blended" for a share-weighted blend. */
+  county?: string | "blended";
+  /** Shared across calls in a batch so each county's NRI record is fetched once. */
+  nriCache?: Map<string, Promise<Loaded<NriRecord>>>;
+}
+
+// ─── ERRORS ──────────────────────────────────────────────────────────
+
+export type ProviderId = "zippopotam" | "fcc" | "census" | "tigerweb" | "openfema" | "snapshot" | "crosswalk" | (string & {});
+export type ErrorKind = "not_found" | "bad_request" | "rate_limited" | "server" | "timeout" | "network" | "malformed";
+
+export const ERROR_KINDS: Record<ErrorKind, { retry: boolean; text: string }>;
+
+export class ProviderError extends Error {
+  constructor(provider: ProviderId, kind: ErrorKind, message?: string | null, extra?: { status?: number; cause?: unknown });
+  readonly provider: ProviderId;
+  readonly kind: ErrorKind;
+  readonly status?: number;
+  /** Set when several geocoders failed; one entry per provider. */
+  errors?: Error[];
+  readonly providerLabel: string;
+  /** True when the provider, not the input, is at fault. */
+  readonly isOutage: boolean;
+}
+
+export function isAbortError(err: unknown): boolean;
+export function describeError(err: unknown): string;
+
+// ─── GEOCODING ───────────────────────────────────────────────────────
+
+export type QueryType = "zip" | "coordinates" | "city" | "address" | "county";
+
+export type ParsedQuery =
+  | { type: "zip"; zip: string }
+  | { type: "coordinates"; lat: number; lng: number }
+  | { type: "city"; city: string; state: string }
+  | { type: "address"; address: string }
+  | { type: null; error: string };
+
+export interface CountyShare {
+  fips: string;
+  countyName: string;
+  /** Approximate share of the ZIP's area, 0–1. Shares sum to 1. */
+  share: number;
+}
+
+export interface Location {
+  /** 5-digit county FIPS; for split ZIPs, the county with the largest share. */
+  fips: string;
+  countyName: string;
+  stateName: string;
+  lat: number;
+  lng: number;
+  matchedAddress: string;
+  counties: CountyShare[];
+  queryType: QueryType;
+  zip?: string;
+  tractFips?: string;
+  tractName?: string;
+  /** Id of the provider that geocoded the query; absent for a county picked directly. */
+  geocoder?: string;
+}
+
+export interface Geocoder {
+  id: string;
+  label: string;
+  /** Resolve to a location, null to pass to the next provider, or throw a ProviderError. */
+  resolveZip(
+    zip: string,
+    options: RequestOptions
+  ): Promise<Omit<Location, "counties" | "queryType" | "zip"> & { counties?: CountyShare[] } | null>;
+}
+
+export function registerGeocoder(provider: Geocoder): void;
+export function configureGeocoders(config?: {
+  order?: string[];
+  serviceUrls?: Partial<Record<"zippopotam" | "fcc" | "census" | "tigerweb" | "crosswalk", string>>;
+  stubUrl?: string;
+}): void;
+export function getGeocoderChain(): Geocoder[];
+
+export const QUERY_TYPE_LABELS: Record<QueryType, string>;
+export function parseSearchQuery(raw: string): ParsedQuery;
+export function geocodeQuery(query: string, options?: RequestOptions): Promise<Location>;
+export function zipToCountyFips(zip: string, options?: RequestOptions): Promise<Omit<Location, "queryType">>;
+export function findCensusTract(
+  lat: number,
+  lng: number,
+  options?: RequestOptions
+): Promise<{ tractFips: string; tractName: string; lat: number; lng: number }>;
+export function countyLocation(county: { fips: string; countyName: string; stateName: string; lat: number; lng: number }): Location;
+
+// ─── NRI DATA ────────────────────────────────────────────────────────
+
+/** A raw OpenFEMA NRI record (county or tract), keyed by NRI field name. */
+export type NriRecord = Record<string, string | number | null>;
+
+export type DataSource = "live" | "cache" | "snapshot" | "bundled";
+
+export interface SourceInfo {
+  source: DataSource;
+  fetchedAt: number;
+  /** True when an expired cache entry was served because the live request failed. */
+  stale: boolean;
+}
+
+export type Loaded<T> = SourceInfo & { value: T };
+
+export const NRI_VERSION: string;
+export const SOURCE_ORDER: DataSource[];
+
+export function fetchNRIData(countyFips: string, options?: RequestOptions): Promise<NriRecord>;
+export function fetchNRITractData(tractFips: string, options?: RequestOptions): Promise<NriRecord>;
+export function fetchNRISummaries(fipsList: string[], options?: RequestOptions): Promise<Record<string, NriRecord>>;
+export function loadNRIData(fips: string, options?: RequestOptions): Promise<Loaded<NriRecord>>;
+export function loadNRITractData(tractFips: string, options?: RequestOptions): Promise<Loaded<NriRecord>>;
+export function loadLocation(query: string, options?: RequestOptions): Promise<Loaded<Location>>;
+export function lookupZip(zip: string, options?: RequestOptions): Promise<{ location: Location; nriData: NriRecord }>;
+export function blendNRIRecords(parts: { nriData: NriRecord; share: number }[]): NriRecord;
+export function leastCurrentSource<T extends SourceInfo>(sources: T[]): T;
+
+// ─── RANKINGS ────────────────────────────────────────────────────────
+
+/** County records holding only the score fields: codes, names, the composite scores and ratings, and each hazard's _RISKS, _RISKR and _EALS. */
+export function fetchNRIScores(stateCode?: string | null, options?: RequestOptions): Promise<NriRecord[]>;
+export function loadNRIScores(stateCode?: string | null, options?: RequestOptions): Promise<Loaded<NriRecord[]>>;
+
+export const SCORE_HISTOGRAM_BINS: number;
+
+export interface ScoreRank {
+  /** 1 = highest score (most risk). */
+  rank: number;
+  count: number;
+  /** Share of the other counties with a lower score, 0–100. */
+  percentile: number;
+  /** Counties per score band of width 100 / SCORE_HISTOGRAM_BINS. */
+  histogram: number[];
+  /** The band this score falls in. */
+  bin: number;
+}
+
+export function rankScore(
+  records: NriRecord[],
+  score: number | null | undefined,
+  options?: { hazardKey?: string | null; fips?: string | null; scoreOf?: ((record: NriRecord) => number | null | undefined) | null }
+): ScoreRank | null;
+
+export interface RecordRanks {
+  overall: { state: ScoreRank | null; national: ScoreRank | null };
+  hazards: Partial<Record<HazardId, { state: ScoreRank | null; national: ScoreRank | null }>>;
+}
+
+export function rankRecord(
+  nriData: NriRecord,
+  pools: { state?: NriRecord[]; national?: NriRecord[] },
+  fips?: string | null
+): RecordRanks;
+
+// ─── DISASTER DECLARATIONS ───────────────────────────────────────────
+
+export const DECLARATIONS_SINCE: number;
+/** OpenFEMA incident type → the hazards it counts toward. */
+export const INCIDENT_HAZARDS: Record<string, HazardId[]>;
+
+export interface DisasterDeclaration {
+  disasterNumber: number;
+  /** DR (major disaster), EM (emergency) or FM (fire management). */
+  declarationType: "DR" | "EM" | "FM" | (string & {});
+  declarationDate: string;
+  declarationTitle: string;
+  incidentType: string;
+  incidentBeginDate: string | null;
+  fipsStateCode: string;
+  fipsCountyCode: string;
+  designatedArea: string;
+  hazards: HazardId[];
+  /** Declared for the whole state rather than the county. */
+  statewide: boolean;
+}
+
+export interface DeclarationSummary {
+  total: number;
+  byHazard: Record<HazardId, number>;
+  incidentTypes: {
+    incidentType: string;
+    hazards: HazardId[];
+    count: number;
+    /** Count per decade, keyed by its first year (1950, 1960, ...). */
+    byDecade: Record<number, number>;
+    declarations: DisasterDeclaration[];
+  }[];
+  /** Every decade from DECLARATIONS_SINCE to the latest declaration. */
+  decades: number[];
+}
+
+export function fetchDisasterDeclarations(countyFips: string, options?: RequestOptions): Promise<DisasterDeclaration[]>;
+export function loadDisasterDeclarations(countyFips: string, options?: RequestOptions): Promise<Loaded<DisasterDeclaration[]>>;
+export function summarizeDeclarations(declarations: DisasterDeclaration[]): DeclarationSummary;
+
+// ─── NFIP FLOOD INSURANCE ────────────────────────────────────────────
+
+export const NFIP_MAX_CLAIMS: number;
+
+export interface NFIPClaimSummary {
+  totalClaims: number;
+  /** Building, contents and increased-cost-of-compliance payments, in dollars. */
+  totalPaid: number;
+  /** Mean payment over claims that paid anything; null without any. */
+  averagePaid: number | null;
+  firstYear: number | null;
+  lastYear: number | null;
+  byYear: { year: number; claims: number; paid: number }[];
+  /** Named flood events with the most claims, largest first. */
+  topEvents: { name: string; year: number; claims: number; paid: number }[];
+}
+
+export function fetchNFIPClaims(
+  countyFips: string,
+  options?: RequestOptions
+): Promise<{ claims: Record<string, string | number | null>[]; complete: boolean }>;
+export function fetchNFIPPolicyCount(countyFips: string, options?: RequestOptions): Promise<number>;
+export function summarizeNFIPClaims(claims: Record<string, string | number | null>[]): NFIPClaimSummary;
+export function loadNFIPData(
+  countyFips: string,
+  options?: RequestOptions
+): Promise<Loaded<{ claims: NFIPClaimSummary; complete: boolean; policiesInForce: number | null }>>;
+
+// ─── SCORING ─────────────────────────────────────────────────────────
+
+export type FrequencyBasis = "events" | "eventDays" | "probability";
+
+export interface HazardConfig {
+  key: string;
+  label: string;
+  icon: string;
+  color: string;
+  frequencyBasis: FrequencyBasis;
+  eventLabel: string;
+  description: string;
+  methodology: string;
+}
+
+export type HazardId =
+  | "earthquake" | "hurricane" | "tornado" | "flood" | "wildfire" | "coastalFlood"
+  | "drought" | "hail" | "heatWave" | "iceStorm" | "landslide" | "lightning"
+  | "strongWind" | "tsunami" | "volcanic" | "winterWeather" | "coldWave" | "avalanche";
+
+export const HAZARD_CONFIG: Record<HazardId, HazardConfig>;
+
+export interface RiskRating {
+  label: string;
+  max?: number;
+  color: string;
+  bg: string;
+}
+
+export const RISK_RATINGS: Required<RiskRating>[];
+export const FREQUENCY_BASES: Record<FrequencyBasis, { unit: string; caveat: string }>;
+
+export function getRiskRating(score: number | null | undefined): RiskRating;
+export function isHazardApplicable(nriData: NriRecord | null | undefined, hazardKey: string): boolean;
+
+export interface Odds {
+  text: string;
+  detail: string;
+  odds: number | null;
+  frequency?: number;
+  frequencyText?: string;
+  formula?: string;
+  caveat?: string;
+}
+
+export function frequencyToOdds(frequency: number | null | undefined, hazardKey: string): Odds;
+export function cumulativeProbability(annual: number | null | undefined, years: number): number | null;
+export function combinedProbability(probabilities: (number | null | undefined)[]): number | null;
+export function formatProbability(p: number): string;
+export function describeProbability(p: number): string;
+
+export interface LossComponent {
+  suffix: "B" | "PE" | "A";
+  label: string;
+  color: string;
+  eal: number | null;
+  exposure: number | null;
+  lossRatio: number | null;
+}
+
+export interface LossBreakdown {
+  components: LossComponent[];
+  total: number | null;
+  exposure: number | null;
+  lossRatio: number | null;
+}
+
+export const LOSS_COMPONENTS: Pick<LossComponent, "suffix" | "label" | "color">[];
+export function getLossBreakdown(nriData: NriRecord | null | undefined, hazardKey: string): LossBreakdown;
+export function toDollars(value: unknown): number | null;
+export function formatCurrency(value: number | null | undefined): string;
+export function formatLossRatio(ratio: number | null | undefined): string;
+
+// ─── ASSESSMENT ──────────────────────────────────────────────────────
+
+export interface IndexScore {
+  score: number | null;
+  /** NRI rating, e.g. "Relatively High"; null without a score. */
+  rating: string | null;
+}
+
+export interface HazardAssessment {
+  id: HazardId;
+  key: string;
+  label: string;
+  applicable: boolean;
+  score: number | null;
+  rating: string | null;
+  odds: {
+    /** Chance of at least one occurrence in a year, 0–1. */
+    annual: number | null;
+    /** Chance of at least one occurrence over the horizon, 0–1. */
+    horizon: number | null;
+    text: string;
+    detail: string;
+    frequency: number | null;
+    basis: FrequencyBasis;
+  };
+  losses: LossBreakdown;
+}
+
+export interface RecordAssessment {
+  nriVersion: string;
+  horizonYears: number;
+  indices: {
+    risk: IndexScore;
+    expectedLoss: IndexScore & { dollars: number | null };
+    socialVulnerability: IndexScore;
+    communityResilience: IndexScore;
+  };
+  /** Chance that any applicable hazard occurs (hazards treated as independent). */
+  combined: { annual: number | null; horizon: number | null };
+  hazards: HazardAssessment[];
+  nri: NriRecord;
+}
+
+export interface Assessment extends RecordAssessment {
+  query: string;
+  location: Location;
+  counties: (CountyShare & { loaded: boolean })[];
+  sources: { location: SourceInfo; nri: SourceInfo };
+}
+
+export function assessHazards(nriData: NriRecord | null | undefined, options?: { horizonYears?: number }): HazardAssessment[];
+export function assessRecord(nriData: NriRecord, options?: { horizonYears?: number }): RecordAssessment;
+export function loadCountyRecords(
+  location: Location,
+  options?: AssessOptions
+): Promise<{ records: Record<string, NriRecord>; loaded: CountyShare[]; source: SourceInfo }>;
+export function assessLocation(query: string, options?: AssessOptions): Promise<Assessment>;
@@ -0,0 +1,1024 @@
+// Risk engine: everything between a search string and a scored location,
+// with no UI. Runs in the browser and in Node (18+). Every network call takes
+// an `options` object carrying `signal`, an optional `fetch` to swap in
+// fixtures, and `cache: false` to skip the response cache. Types are in
+// riskEngine.d.ts.
+//
+//   import { assessLocation } from "./riskEngine.js";
+//   const result = await assessLocation("94103", { horizonYears: 10 });
+
+import {
+  HAZARD_CONFIG,
+  NRI_BASE,
+  NRI_TRACT_BASE,
+  NRI_FIELDS,
+  NRI_VERSION,
+  DECLARATIONS_BASE,
+  NFIP_CLAIMS_BASE,
+  NFIP_POLICIES_BASE,
+} from "./hazards.js";
+import { withCache, DAY_MS } from "./dataCache.js";
+import { fetchJSON, ProviderError, ERROR_KINDS, isAbortError } from "./http.js";
+import { resolveZip, countyFromPoint, serviceUrl } from "./geocoders.js";
+
+export { HAZARD_CONFIG, NRI_VERSION } from "./hazards.js";
+export { ProviderError, ERROR_KINDS, isAbortError } from "./http.js";
+export { registerGeocoder, configureGeocoders, getGeocoderChain } from "./geocoders.js";
+
+// ─── RATINGS & ODDS ──────────────────────────────────────────────────
+
+export const RISK_RATINGS = [
+  { label: "Very Low", max: 15, color: "#4a8c6a", bg: "#eef6f1" },
+  { label: "Relatively Low", max: 30, color: "#6aab7b", bg: "#f0f7f2" },
+  { label: "Relatively Moderate", max: 50, color: "#c4a24d", bg: "#faf6ec" },
+  { label: "Relatively High", max: 70, color: "#c48a4d", bg: "#f9f3ec" },
+  { label: "Very High", max: 100, color: "#b85c4a", bg: "#f7efed" },
+];
+
+export function getRiskRating(score) {
+  if (score === null || score === undefined || score < 0) return { label: "No Data", color: "#95a5a6", bg: "#f0f0f0" };
+  for (const r of RISK_RATINGS) {
+    if (score <= r.max) return r;
+  }
+  return RISK_RATINGS[RISK_RATINGS.length - 1];
+}
+
+// NRI marks hazards that can't occur in a county (e.g. tsunami in Kansas) as
+// "Not Applicable" and leaves the score empty or zero.
+const NON_APPLICABLE_RATINGS = ["Not Applicable", "No Rating", "Insufficient Data"];
+
+export function isHazardApplicable(nriData, hazardKey) {
+  const score = nriData?.[`${hazardKey}_RISKS`];
+  const rating = nriData?.[`${hazardKey}_RISKR`];
+  if (score === null || score === undefined || score < 0) return false;
+  if (NON_APPLICABLE_RATINGS.includes(rating)) return false;
+  return score > 0 || Boolean(rating);
+}
+
+// NRI annualized frequency (*_APTS) comes in one of three forms depending on the
+// hazard: an expected count of events per year, a count of event-days per year,
+// or (earthquake, wildfire) an annual exceedance/burn probability. Counts are
+// converted to the chance of at least one occurrence with a Poisson model.
+export const FREQUENCY_BASES = {
+  events: {
+    unit: "events/year",
+    caveat: "Assumes events arrive independently at the NRI historical rate (Poisson model).",
+  },
+  eventDays: {
+    unit: "event-days/year",
+    caveat: "NRI counts this hazard in event-days. A multi-day event counts several times, so this is an upper bound on the chance of at least one event.",
+  },
+  probability: {
+    unit: "annual probability",
+    caveat: "NRI reports this hazard's frequency directly as an annual probability for a location in the county.",
+  },
+};
+
+function formatFrequency(value) {
+  return String(Number(value.toPrecision(2)));
+}
+
+export function formatProbability(p) {
+  if (p === 0) return "0%";
+  if (p < 0.001) return "< 0.1%";
+  if (p > 0.99) return "> 99%";
+  if (p < 0.1) return `~${(p * 100).toFixed(1)}%`;
+  return `~${Math.round(p * 100)}%`;
+}
+
+export function describeProbability(p) {
+  if (p === 0) return "No recorded occurrences in the NRI period of record";
+  if (p >= 0.5) return "More likely than not in any given year";
+  const oneIn = Number((1 / p).toPrecision(2));
+  return `Roughly 1 in ${oneIn.toLocaleString()} chance per year`;
+}
+
+// Convert NRI annualized frequency to an annual probability of at least one occurrence
+export function frequencyToOdds(frequency, hazardKey) {
+  const config = Object.values(HAZARD_CONFIG).find((c) => c.key === hazardKey);
+  if (!config || frequency === null || frequency === undefined || frequency < 0) {
+    return { text: "Insufficient data", detail: "", odds: null };
+  }
+
+  const basis = FREQUENCY_BASES[config.frequencyBasis];
+  const odds = config.frequencyBasis === "probability" ? Math.min(frequency, 1) : 1 - Math.exp(-frequency);
+  const formula = config.frequencyBasis === "probability"
+    ? `P = ${formatFrequency(frequency)}`
+    : `P = 1 − e^(−${formatFrequency(frequency)})`;
+
+  return {
+    text: formatProbability(odds),
+    detail: describeProbability(odds),
+    odds,
+    frequency,
+    frequencyText: `${formatFrequency(frequency)} ${basis.unit}`,
+    formula,
+    caveat: basis.caveat,
+  };
+}
+
+// Chance of at least one occurrence over `years`, treating each year as independent
+export function cumulativeProbability(annual, years) {
+  if (annual === null || annual === undefined) return null;
+  return 1 - Math.pow(1 - annual, years);
+}
+
+// Chance that at least one of several independent hazards occurs
+export function combinedProbability(probabilities) {
+  const known = probabilities.filter((p) => p !== null && p !== undefined);
+  if (known.length === 0) return null;
+  return 1 - known.reduce((none, p) => none * (1 - p), 1);
+}
+
+// NRI reports expected annual loss (EAL) and exposure separately for each
+// consequence type. Population losses are expressed in dollars using FEMA's
+// value of statistical life ("population equivalence").
+export const LOSS_COMPONENTS = [
+  { suffix: "B", label: "Buildings", color: "#5b8fa8" },
+  { suffix: "PE", label: "Population equiv.", color: "#c48a4d" },
+  { suffix: "A", label: "Agriculture", color: "#6aab7b" },
+];
+
+const currencyFormat = new Intl.NumberFormat("en-US", {
+  style: "currency",
+  currency: "USD",
+  notation: "compact",
+  maximumFractionDigits: 1,
+});
+
+export function formatCurrency(value) {
+  if (value === null || value === undefined) return "—";
+  return currencyFormat.format(value);
+}
+
+export function formatLossRatio(ratio) {
+  if (ratio === null || ratio === undefined) return "—";
+  if (ratio === 0) return "0%";
+  if (ratio < 0.00001) return "< 0.001%";
+  return `${Number((ratio * 100).toPrecision(2))}%`;
+}
+
+export function toDollars(value) {
+  return typeof value === "number" && value >= 0 ? value : null;
+}
+
+// Dollar EAL, exposure and loss ratio (EAL ÷ exposure) for one hazard
+export function getLossBreakdown(nriData, hazardKey) {
+  const components = LOSS_COMPONENTS.map((component) => {
+    const eal = toDollars(nriData?.[`${hazardKey}_EAL${component.suffix}`]);
+    const exposure = toDollars(nriData?.[`${hazardKey}_EXP${component.suffix}`]);
+    return { ...component, eal, exposure, lossRatio: eal !== null && exposure > 0 ? eal / exposure : null };
+  });
+
+  const sum = (field) => {
+    const values = components.map((c) => c[field]).filter((v) => v !== null);
+    return values.length ? values.reduce((a, b) => a + b, 0) : null;
+  };
+  const total = toDollars(nriData?.[`${hazardKey}_EALT`]) ?? sum("eal");
+  const exposure = toDollars(nriData?.[`${hazardKey}_EXPT`]) ?? sum("exposure");
+
+  return {
+    components,
+    total,
+    exposure,
+    lossRatio: total !== null && exposure > 0 ? total / exposure : null,
+  };
+}
+
+// ─── FEMA NRI API ────────────────────────────────────────────────────
+export async function fetchNRIData(countyFips, options = {}) {
+  const stateCode = countyFips.substring(0, 2);
+  const countyCode = countyFips.substring(2, 5);
+  
+  const fields = NRI_FIELDS.join(",");
+
+  const url = `${NRI_BASE}?$filter=stateCode eq '${stateCode}' and countyCode eq '${countyCode}'&$select=${fields}`;
+  
+  const data = await fetchJSON(url, { ...options, provider: "openfema" });
+  
+  if (!Array.isArray(data?.NriCountyData)) throw new ProviderError("openfema", "malformed");
+  if (data.NriCountyData.length === 0) {
+    throw new ProviderError("openfema", "not_found", `FEMA has no National Risk Index data for county ${countyFips}.`);
+  }
+  
+  return data.NriCountyData[0];
+}
+
+// Tract-level NRI data, keyed by the 11-digit tract FIPS (state + county + tract)
+export async function fetchNRITractData(tractFips, options = {}) {
+  const fields = [...NRI_FIELDS, "tractFips"].join(",");
+  const url = `${NRI_TRACT_BASE}?$filter=tractFips eq '${tractFips}'&$select=${fields}`;
+
+  const data = await fetchJSON(url, { ...options, provider: "openfema" });
+
+  if (!Array.isArray(data?.NriCensusTractData)) throw new ProviderError("openfema", "malformed");
+  if (data.NriCensusTractData.length === 0) {
+    throw new ProviderError("openfema", "not_found", `FEMA has no National Risk Index data for census tract ${tractFips}.`);
+  }
+
+  return data.NriCensusTractData[0];
+}
+
+// ─── CACHED / OFFLINE DATA ───────────────────────────────────────────
+// Geocoding and NRI responses are cached in IndexedDB. When the NRI API is
+// unreachable and nothing is cached, records come from the optional snapshot
+// that `npm run snapshot` writes to public/nri-snapshot.json.
+
+const NRI_CACHE_TTL = 30 * DAY_MS;
+const GEOCODE_CACHE_TTL = 90 * DAY_MS;
+const NRI_SNAPSHOT_URL = "/nri-snapshot.json";
+
+// withCache, unless the caller opted out with `cache: false` (e.g. fixture tests)
+function cached(key, ttlMs, loader, options) {
+  if (options.cache !== false) return withCache(key, ttlMs, loader);
+  return loader().then((value) => ({ value, source: "live", fetchedAt: Date.now(), stale: false }));
+}
+
+let snapshotPromise = null;
+
+// Snapshot format: { version, generatedAt, fields: [...], rows: { [fips]: [values in field order] } }
+function loadNRISnapshot(options) {
+  if (!snapshotPromise) {
+    snapshotPromise = cached("nri:snapshot", Infinity, async () => {
+      const snapshot = await fetchJSON(NRI_SNAPSHOT_URL, { fetch: options.fetch, provider: "snapshot", retries: 0 });
+      if (!snapshot?.rows || !Array.isArray(snapshot.fields)) throw new ProviderError("snapshot", "malformed");
+      return snapshot;
+    }, options).then(({ value }) => value);
+    snapshotPromise.catch(() => {
+      snapshotPromise = null;
+    });
+  }
+  return snapshotPromise;
+}
+
+async function snapshotRecord(fips, options) {
+  const snapshot = await loadNRISnapshot(options);
+  const row = snapshot.rows?.[fips];
+  if (!row) return null;
+  return {
+    record: Object.fromEntries(snapshot.fields.map((field, i) => [field, row[i]])),
+    generatedAt: Date.parse(snapshot.generatedAt),
+  };
+}
+
+// County NRI record as { value, source: "live" | "cache" | "snapshot", fetchedAt, stale }
+export async function loadNRIData(fips, options = {}) {
+  try {
+    return await cached(`nri:county:${fips}`, NRI_CACHE_TTL, () => fetchNRIData(fips, options), options);
+  } catch (err) {
+    // The snapshot stands in for an unreachable API, not for a county FEMA doesn't cover
+    if (isAbortError(err) || (err instanceof ProviderError && !err.isOutage)) throw err;
+    const snapshot = await snapshotRecord(fips, options).catch(() => null);
+    if (!snapshot) throw err;
+    return { value: snapshot.record, source: "snapshot", fetchedAt: snapshot.generatedAt, stale: false };
+  }
+}
+
+export function loadNRITractData(tractFips, options = {}) {
+  return cached(`nri:tract:${tractFips}`, NRI_CACHE_TTL, () => fetchNRITractData(tractFips, options), options);
+}
+
+// Geocoded location as { value, source, fetchedAt, stale }
+export function loadLocation(query, options = {}) {
+  const key = `geocode:${query.trim().replace(/\s+/g, " ").toLowerCase()}`;
+  return cached(key, GEOCODE_CACHE_TTL, () => geocodeQuery(query, options), options);
+}
+
+// ─── ZIP → COUNTY SPLITS ─────────────────────────────────────────────
+// Many ZIPs straddle county lines. The crosswalk already knows the split;
+// otherwise TIGERweb (Census Bureau ArcGIS REST, free,
+// no key) serves ZCTA and county boundaries; we overlay a sample grid on the
+// ZCTA polygon and count which county each sample point falls in to estimate
+// each county's share of the ZIP's area.
+
+const TIGERWEB_ZCTA_LAYER = 2;
+const TIGERWEB_COUNTY_LAYER = 82;
+const SPLIT_SAMPLE_GRID = 40;
+const MIN_COUNTY_SHARE = 0.01;
+
+// Even-odd test, so holes (inner rings) are handled without knowing ring orientation
+function pointInRings(x, y, rings) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function ringsBounds(rings) {
+  const points = rings.flat();
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  return { xmin: Math.min(...xs), ymin: Math.min(...ys), xmax: Math.max(...xs), ymax: Math.max(...ys) };
+}
+
+async function queryTigerweb(layer, params, options = {}) {
+  const query = new URLSearchParams({ ...params, outSR: "4326", f: "json" });
+  const data = await fetchJSON(`${serviceUrl("tigerweb")}/${layer}/query?${query}`, { ...options, provider: "tigerweb" });
+  // ArcGIS reports errors in a 200 response body
+  if (data?.error) throw new ProviderError("tigerweb", "server", `Census TIGERweb: ${data.error.message || "query failed"}`);
+  return data.features || [];
+}
+
+// Returns [{ fips, countyName, share }] sorted by share, or null if the ZCTA
+// boundary isn't available
+async function findZipCounties(zip, options = {}) {
+  const [zcta] = await queryTigerweb(TIGERWEB_ZCTA_LAYER, {
+    where: `GEOID='${zip}'`,
+    outFields: "GEOID",
+    returnGeometry: "true",
+  }, options);
+  const rings = zcta?.geometry?.rings;
+  if (!rings) return null;
+
+  const bounds = ringsBounds(rings);
+  const counties = await queryTigerweb(TIGERWEB_COUNTY_LAYER, {
+    geometry: `${bounds.xmin},${bounds.ymin},${bounds.xmax},${bounds.ymax}`,
+    geometryType: "esriGeometryEnvelope",
+    inSR: "4326",
+    spatialRel: "esriSpatialRelIntersects",
+    outFields: "GEOID,NAME",
+    returnGeometry: "true",
+    maxAllowableOffset: "0.001",
+  }, options);
+  if (counties.length === 0) return null;
+
+  const hits = new Map();
+  let matched = 0;
+  const stepX = (bounds.xmax - bounds.xmin) / SPLIT_SAMPLE_GRID;
+  const stepY = (bounds.ymax - bounds.ymin) / SPLIT_SAMPLE_GRID;
+  for (let i = 0; i < SPLIT_SAMPLE_GRID; i++) {
+    for (let j = 0; j < SPLIT_SAMPLE_GRID; j++) {
+      const x = bounds.xmin + (i + 0.5) * stepX;
+      const y = bounds.ymin + (j + 0.5) * stepY;
+      if (!pointInRings(x, y, rings)) continue;
+      const county = counties.find((c) => c.geometry?.rings && pointInRings(x, y, c.geometry.rings));
+      if (!county) continue;
+      hits.set(county.attributes.GEOID, (hits.get(county.attributes.GEOID) || 0) + 1);
+      matched++;
+    }
+  }
+  if (matched === 0) return null;
+
+  const shares = counties
+    .map((c) => ({ fips: c.attributes.GEOID, countyName: c.attributes.NAME, share: (hits.get(c.attributes.GEOID) || 0) / matched }))
+    .filter((c) => c.share >= MIN_COUNTY_SHARE);
+  const kept = shares.reduce((sum, c) => sum + c.share, 0);
+  return shares.map((c) => ({ ...c, share: c.share / kept })).sort((a, b) => b.share - a.share);
+}
+
+// Resolves a ZIP to its centroid plus every county it intersects. The primary
+// `fips` is the county holding the largest share of the ZIP.
+export async function zipToCountyFips(zip, options = {}) {
+  const location = await resolveZip(zip, options);
+  if (location.counties?.length) return location;
+
+  let counties = null;
+  try {
+    counties = await findZipCounties(zip, options);
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    // Boundary service unavailable; fall back to the centroid's county
+  }
+
+  if (!counties || counties.length === 0) {
+    return { ...location, counties: [{ fips: location.fips, countyName: location.countyName, share: 1 }] };
+  }
+
+  return {
+    ...location,
+    fips: counties[0].fips,
+    countyName: counties[0].countyName,
+    counties,
+  };
+}
+
+// ─── POINT → CENSUS TRACT ────────────────────────────────────────────
+
+function parseTractGeography(geographies) {
+  const tract = geographies?.["Census Tracts"]?.[0];
+  if (!tract?.GEOID) return null;
+  return { tractFips: tract.GEOID, tractName: tract.NAME };
+}
+
+// Census tract containing a lat/lng point
+export async function findCensusTract(lat, lng, options = {}) {
+  const url = `${serviceUrl("census")}/coordinates?x=${lng}&y=${lat}&benchmark=Public_AR_Current&vintage=Current_Current&format=json`;
+  const data = await fetchJSON(url, { ...options, provider: "census" });
+
+  const tract = parseTractGeography(data?.result?.geographies);
+  if (!tract) throw new ProviderError("census", "not_found", "Could not find a census tract for this location.");
+  return { ...tract, lat, lng };
+}
+
+// ─── SEARCH QUERY → LOCATION ────────────────────────────────────────
+// The search box accepts a ZIP, "City, ST", a "lat, lng" pair, or a full
+// street address. Each goes to the geocoder best suited to it.
+
+export const QUERY_TYPE_LABELS = {
+  zip: "ZIP code",
+  coordinates: "Coordinates",
+  city: "City",
+  address: "Street address",
+  county: "County",
+};
+
+export function parseSearchQuery(raw) {
+  const query = raw.trim().replace(/\s+/g, " ");
+  if (!query) return { type: null, error: "Please enter a ZIP code, address, city, or coordinates." };
+
+  const zip = query.match(/^(\d{5})(?:-\d{4})?$/);
+  if (zip) return { type: "zip", zip: zip[1] };
+  if (/^\d+$/.test(query)) return { type: null, error: "Please enter a valid 5-digit US ZIP code." };
+
+  const coords = query.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+  if (coords) {
+    const lat = parseFloat(coords[1]);
+    const lng = parseFloat(coords[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return { type: null, error: "Coordinates should be latitude, longitude — e.g. 37.7749, -122.4194." };
+    }
+    return { type: "coordinates", lat, lng };
+  }
+
+  const city = query.match(/^([A-Za-z][A-Za-z .'-]*),\s*([A-Za-z]{2})$/);
+  if (city) return { type: "city", city: city[1].trim(), state: city[2].toUpperCase() };
+
+  return { type: "address", address: query };
+}
+
+// Every non-ZIP result lies in exactly one county
+function withSingleCounty(location) {
+  return { ...location, counties: [{ fips: location.fips, countyName: location.countyName, share: 1 }] };
+}
+
+async function geocodeCoordinates(lat, lng, options = {}) {
+  const county = await countyFromPoint(lat, lng, options);
+  if (!county) {
+    throw new ProviderError("fcc", "not_found", "Those coordinates aren't inside a US county. Check the latitude and longitude.");
+  }
+  return withSingleCounty({
+    ...county,
+    lat,
+    lng,
+    matchedAddress: `${lat.toFixed(5)}, ${lng.toFixed(5)} (${county.countyName}, ${county.stateName})`,
+    geocoder: "fcc",
+  });
+}
+
+// Zippopotam.us lists every ZIP in a city; their average position approximates the city center
+async function geocodeCity(city, state, options = {}) {
+  const notFound = `Could not find ${city}, ${state}. Check the spelling and state abbreviation.`;
+  let data;
+  try {
+    data = await fetchJSON(`${serviceUrl("zippopotam")}/us/${state}/${encodeURIComponent(city)}`, { ...options, provider: "zippopotam" });
+  } catch (err) {
+    if (err instanceof ProviderError && err.kind === "not_found") throw new ProviderError("zippopotam", "not_found", notFound);
+    throw err;
+  }
+  const places = data.places || [];
+  if (places.length === 0) throw new ProviderError("zippopotam", "not_found", notFound);
+
+  const lat = places.reduce((sum, p) => sum + parseFloat(p.latitude), 0) / places.length;
+  const lng = places.reduce((sum, p) => sum + parseFloat(p.longitude), 0) / places.length;
+  const county = await countyFromPoint(lat, lng, options);
+  if (!county) throw new ProviderError("fcc", "not_found", `Could not find the county for ${city}, ${state}.`);
+
+  return withSingleCounty({
+    ...county,
+    stateName: data.state || county.stateName,
+    lat,
+    lng,
+    matchedAddress: `${places[0]["place name"]}, ${data["state abbreviation"] || state} (city center)`,
+    geocoder: "zippopotam",
+  });
+}
+
+// Census Bureau onelineaddress geocoder: exact county and tract for a street address
+async function geocodeAddress(address, options = {}) {
+  const url = `${serviceUrl("census")}/onelineaddress?address=${encodeURIComponent(address)}&benchmark=Public_AR_Current&vintage=Current_Current&format=json`;
+  const data = await fetchJSON(url, { ...options, provider: "census" });
+
+  const match = data?.result?.addressMatches?.[0];
+  const county = match?.geographies?.Counties?.[0];
+  if (!county) {
+    throw new ProviderError("census", "not_found", "Could not match that street address. Check the spelling and include city and state.");
+  }
+
+  return withSingleCounty({
+    fips: county.STATE + county.COUNTY,
+    countyName: county.NAME,
+    stateName: match.addressComponents?.state,
+    lat: parseFloat(match.coordinates.y),
+    lng: parseFloat(match.coordinates.x),
+    matchedAddress: match.matchedAddress,
+    geocoder: "census",
+    ...parseTractGeography(match.geographies),
+  });
+}
+
+// Resolves any supported search query to a location with `queryType` set
+export async function geocodeQuery(query, options = {}) {
+  const parsed = parseSearchQuery(query);
+  if (!parsed.type) throw new Error(parsed.error);
+
+  let location;
+  if (parsed.type === "zip") location = { ...(await zipToCountyFips(parsed.zip, options)), zip: parsed.zip };
+  else if (parsed.type === "coordinates") location = await geocodeCoordinates(parsed.lat, parsed.lng, options);
+  else if (parsed.type === "city") location = await geocodeCity(parsed.city, parsed.state, options);
+  else location = await geocodeAddress(parsed.address, options);
+
+  return { ...location, queryType: parsed.type };
+}
+
+// Location for a county chosen directly (e.g. on the map) rather than searched
+export function countyLocation({ fips, countyName, stateName, lat, lng }) {
+  return {
+    ...withSingleCounty({ fips, countyName, stateName, lat, lng, matchedAddress: `${countyName}, ${stateName}` }),
+    queryType: "county",
+  };
+}
+
+// Share-weighted average of several county records, used for ZIPs that span
+// county lines. Ratings can't be averaged, so they are kept only where every
+// county agrees and otherwise derived from the blended score by the UI.
+export function blendNRIRecords(parts) {
+  const blended = {};
+  const fields = new Set(parts.flatMap((p) => Object.keys(p.nriData)));
+
+  for (const field of fields) {
+    const values = parts.map((p) => ({ value: p.nriData[field], share: p.share }));
+    const present = values.filter(({ value }) => value !== null && value !== undefined);
+    if (present.length > 0 && present.every(({ value }) => typeof value === "number")) {
+      // Counties that don't report a value (e.g. hazard not applicable) are left out of the weighting
+      const weight = present.reduce((sum, { share }) => sum + share, 0);
+      blended[field] = present.reduce((sum, { value, share }) => sum + value * share, 0) / weight;
+    } else if (values.every(({ value }) => value === values[0].value)) {
+      blended[field] = values[0].value;
+    }
+  }
+
+  blended.county = parts.map((p) => p.nriData.county).join(" / ");
+  blended.state = [...new Set(parts.map((p) => p.nriData.state))].join(" / ");
+  return blended;
+}
+
+// User-facing text for a failed lookup: bad input reads differently from a
+// provider that is down, so people don't keep retyping a valid ZIP
+export function describeError(err) {
+  if (!(err instanceof ProviderError)) return err?.message || "An error occurred. Please try again.";
+  if (!err.isOutage || err.errors) return err.message;
+  const reason = ERROR_KINDS[err.kind]?.text || err.kind;
+  if (err.provider === "openfema") {
+    return `FEMA's National Risk Index service is unavailable right now (${reason}). Your location was found — please try again shortly.`;
+  }
+  return `${err.providerLabel} is unavailable right now (${reason}). This is not a problem with your input — please try again shortly.`;
+}
+
+// Resolve a ZIP and fetch its county's NRI record in one step
+export async function lookupZip(zip, options = {}) {
+  const { value: location } = await loadLocation(zip, options);
+  const { value: nriData } = await loadNRIData(location.fips, options);
+  return { location, nriData };
+}
+
+// Risk scores for a list of counties in one request, keyed by FIPS
+export async function fetchNRISummaries(fipsList, options = {}) {
+  if (fipsList.length === 0) return {};
+  const fields = [
+    "stateCode", "countyCode", "county", "state",
+    "RISK_SCORE", "RISK_RATNG",
+    ...Object.values(HAZARD_CONFIG).map(({ key }) => `${key}_RISKS`),
+  ].join(",");
+  const filter = fipsList
+    .map((fips) => `(stateCode eq '${fips.substring(0, 2)}' and countyCode eq '${fips.substring(2, 5)}')`)
+    .join(" or ");
+
+  const data = await fetchJSON(`${NRI_BASE}?$filter=${filter}&$select=${fields}&$top=${fipsList.length}`, {
+    ...options,
+    provider: "openfema",
+  });
+
+  if (!Array.isArray(data?.NriCountyData)) throw new ProviderError("openfema", "malformed");
+  return Object.fromEntries(data.NriCountyData.map((row) => [row.stateCode + row.countyCode, row]));
+}
+
+// ─── RANKINGS ────────────────────────────────────────────────────────
+// Where a county's scores stand among the other counties in its state (the
+// same stateCode filter fetchNRIData uses) and nationally. Only the score
+// fields are fetched, a page at a time, and cached like county records. The
+// county explorer browses the same tables.
+
+const SCORES_PAGE_SIZE = 1000;
+export const SCORE_HISTOGRAM_BINS = 10;
+
+const SCORE_FIELDS = [
+  "stateCode", "countyCode", "county", "state",
+  "RISK_SCORE", "RISK_RATNG",
+  "EAL_SCORE", "EAL_RATNG",
+  "SOVI_SCORE", "SOVI_RATNG",
+  "RESL_SCORE", "RESL_RATNG",
+  ...Object.values(HAZARD_CONFIG).flatMap(({ key }) => [`${key}_RISKS`, `${key}_RISKR`, `${key}_EALS`]),
+];
+
+// Score fields for every county in a state, or the whole country without `stateCode`
+export async function fetchNRIScores(stateCode, options = {}) {
+  const filter = stateCode ? `$filter=stateCode eq '${stateCode}'&` : "";
+  const rows = [];
+  for (let skip = 0; ; skip += SCORES_PAGE_SIZE) {
+    const url = `${NRI_BASE}?${filter}$select=${SCORE_FIELDS.join(",")}&$orderby=stateCode,countyCode&$top=${SCORES_PAGE_SIZE}&$skip=${skip}`;
+    const data = await fetchJSON(url, { ...options, provider: "openfema" });
+    if (!Array.isArray(data?.NriCountyData)) throw new ProviderError("openfema", "malformed");
+    rows.push(...data.NriCountyData);
+    if (data.NriCountyData.length < SCORES_PAGE_SIZE) return rows;
+  }
+}
+
+// As { value: records[], source, fetchedAt, stale }, from the snapshot when the API is down
+export async function loadNRIScores(stateCode, options = {}) {
+  try {
+    return await cached(`nri:scores:${stateCode || "us"}`, NRI_CACHE_TTL, () => fetchNRIScores(stateCode, options), options);
+  } catch (err) {
+    // As in loadNRIData, the snapshot only stands in for an unreachable API
+    if (isAbortError(err) || (err instanceof ProviderError && !err.isOutage)) throw err;
+    const snapshot = await loadNRISnapshot(options).catch(() => null);
+    if (!snapshot) throw err;
+    const records = Object.values(snapshot.rows)
+      .map((row) => Object.fromEntries(snapshot.fields.map((field, i) => [field, row[i]])))
+      .filter((record) => !stateCode || record.stateCode === stateCode);
+    return { value: records, source: "snapshot", fetchedAt: Date.parse(snapshot.generatedAt), stale: false };
+  }
+}
+
+const histogramBin = (score) => Math.min(SCORE_HISTOGRAM_BINS - 1, Math.floor((score / 100) * SCORE_HISTOGRAM_BINS));
+
+// Ranks `score` among `records` (1 = highest risk), leaving out `fips` itself.
+// Counties where the hazard doesn't apply aren't counted. `percentile` is the
+// share of the other counties with a lower score. Null without a score.
+// `scoreOf` ranks by a derived score (e.g. the custom index) instead of a field.
+export function rankScore(records, score, { hazardKey = null, fips = null, scoreOf = null } = {}) {
+  if (typeof score !== "number" || score < 0) return null;
+  const field = hazardKey ? `${hazardKey}_RISKS` : "RISK_SCORE";
+  const valueOf = scoreOf ?? ((record) => record[field]);
+  const isScore = (value) => typeof value === "number" && value >= 0;
+  const others = records
+    .filter((record) => record.stateCode + record.countyCode !== fips)
+    .map((record) => ({ record, value: valueOf(record) }))
+    .filter(({ record, value }) => (hazardKey ? isHazardApplicable(record, hazardKey) : isScore(value)))
+    .map(({ value }) => value);
+
+  const histogram = new Array(SCORE_HISTOGRAM_BINS).fill(0);
+  for (const value of [...others, score]) histogram[histogramBin(value)]++;
+
+  return {
+    rank: others.filter((value) => value > score).length + 1,
+    count: others.length + 1,
+    percentile: others.length ? (others.filter((value) => value < score).length / others.length) * 100 : 100,
+    histogram,
+    bin: histogramBin(score),
+  };
+}
+
+// State and national ranks for the overall score and each applicable hazard:
+// { overall: { state, national }, hazards: { [hazardId]: { state, national } } }
+export function rankRecord(nriData, { state = [], national = [] }, fips = null) {
+  const both = (score, hazardKey = null) => ({
+    state: rankScore(state, score, { hazardKey, fips }),
+    national: rankScore(national, score, { hazardKey, fips }),
+  });
+  const hazards = {};
+  for (const [id, { key }] of Object.entries(HAZARD_CONFIG)) {
+    if (isHazardApplicable(nriData, key)) hazards[id] = both(nriData[`${key}_RISKS`], key);
+  }
+  return { overall: both(nriData?.RISK_SCORE), hazards };
+}
+
+// ─── DISASTER DECLARATIONS ───────────────────────────────────────────
+// What has actually happened: every federal disaster (DR), emergency (EM) and
+// fire management (FM) declaration covering the county since the first in
+// 1953, from OpenFEMA's Disaster Declarations Summaries. Statewide
+// declarations (county code 000) count for every county in the state.
+
+const DECLARATIONS_PAGE_SIZE = 1000;
+const DECLARATIONS_CACHE_TTL = 7 * DAY_MS;
+export const DECLARATIONS_SINCE = 1953;
+
+// OpenFEMA incident types → HAZARD_CONFIG ids. Severe storms count toward
+// every hazard they bring; types with no NRI hazard (e.g. Biological) map to none.
+export const INCIDENT_HAZARDS = {
+  "Earthquake": ["earthquake"],
+  "Hurricane": ["hurricane"],
+  "Typhoon": ["hurricane"],
+  "Tropical Storm": ["hurricane"],
+  "Tropical Depression": ["hurricane"],
+  "Tornado": ["tornado"],
+  "Flood": ["flood"],
+  "Dam/Levee Break": ["flood"],
+  "Coastal Storm": ["coastalFlood"],
+  "Fire": ["wildfire"],
+  "Drought": ["drought"],
+  "Severe Storm": ["strongWind", "hail", "lightning"],
+  "Severe Storm(s)": ["strongWind", "hail", "lightning"],
+  "Straight-Line Winds": ["strongWind"],
+  "Severe Ice Storm": ["iceStorm"],
+  "Mud/Landslide": ["landslide"],
+  "Tsunami": ["tsunami"],
+  "Volcanic Eruption": ["volcanic"],
+  "Volcano": ["volcanic"],
+  "Snowstorm": ["winterWeather"],
+  "Winter Storm": ["winterWeather"],
+  "Freezing": ["coldWave"],
+};
+
+const DECLARATION_FIELDS = [
+  "disasterNumber", "declarationType", "declarationDate", "declarationTitle",
+  "incidentType", "incidentBeginDate", "fipsStateCode", "fipsCountyCode", "designatedArea",
+];
+
+// One entry per disaster, newest first
+export async function fetchDisasterDeclarations(countyFips, options = {}) {
+  const stateCode = countyFips.substring(0, 2);
+  const countyCode = countyFips.substring(2, 5);
+  const filter = `fipsStateCode eq '${stateCode}' and (fipsCountyCode eq '${countyCode}' or fipsCountyCode eq '000')`;
+
+  const byDisaster = new Map();
+  for (let skip = 0; ; skip += DECLARATIONS_PAGE_SIZE) {
+    const url = `${DECLARATIONS_BASE}?$filter=${filter}&$select=${DECLARATION_FIELDS.join(",")}&$orderby=declarationDate desc&$top=${DECLARATIONS_PAGE_SIZE}&$skip=${skip}`;
+    const data = await fetchJSON(url, { ...options, provider: "openfema" });
+    const page = data?.DisasterDeclarationsSummaries;
+    if (!Array.isArray(page)) throw new ProviderError("openfema", "malformed");
+    // A disaster can be listed once per designated area and program
+    for (const row of page) if (!byDisaster.has(row.disasterNumber)) byDisaster.set(row.disasterNumber, row);
+    if (page.length < DECLARATIONS_PAGE_SIZE) break;
+  }
+  return [...byDisaster.values()].map((row) => ({
+    ...row,
+    hazards: INCIDENT_HAZARDS[row.incidentType] ?? [],
+    statewide: row.fipsCountyCode === "000",
+  }));
+}
+
+export function loadDisasterDeclarations(countyFips, options = {}) {
+  return cached(`declarations:${countyFips}`, DECLARATIONS_CACHE_TTL, () => fetchDisasterDeclarations(countyFips, options), options);
+}
+
+// Counts by hazard, and by incident type and decade for the timeline
+export function summarizeDeclarations(declarations) {
+  const byHazard = Object.fromEntries(Object.keys(HAZARD_CONFIG).map((id) => [id, 0]));
+  const groups = new Map();
+  const decades = new Set();
+
+  for (const declaration of declarations) {
+    for (const id of declaration.hazards) byHazard[id]++;
+    const decade = Math.floor(new Date(declaration.declarationDate).getUTCFullYear() / 10) * 10;
+    decades.add(decade);
+    if (!groups.has(declaration.incidentType)) {
+      groups.set(declaration.incidentType, { incidentType: declaration.incidentType, hazards: declaration.hazards, count: 0, byDecade: {}, declarations: [] });
+    }
+    const group = groups.get(declaration.incidentType);
+    group.count++;
+    group.byDecade[decade] = (group.byDecade[decade] ?? 0) + 1;
+    group.declarations.push(declaration);
+  }
+
+  const firstDecade = Math.floor(DECLARATIONS_SINCE / 10) * 10;
+  const lastDecade = Math.max(firstDecade, ...decades);
+  return {
+    total: declarations.length,
+    byHazard,
+    incidentTypes: [...groups.values()].sort((a, b) => b.count - a.count),
+    decades: Array.from({ length: (lastDecade - firstDecade) / 10 + 1 }, (_, i) => firstDecade + i * 10),
+  };
+}
+
+// ─── NFIP FLOOD INSURANCE ────────────────────────────────────────────
+// Real flood losses from OpenFEMA's redacted NFIP claims and policies. Large
+// coastal counties have hundreds of thousands of claims, so claims are read
+// newest first and capped at NFIP_MAX_CLAIMS; `complete` is false when older
+// years were left out. A capped read drops its oldest, partly read year, so
+// every figure covers whole years from the summary's firstYear on.
+
+const NFIP_PAGE_SIZE = 10000;
+export const NFIP_MAX_CLAIMS = 100000;
+const NFIP_CACHE_TTL = 30 * DAY_MS;
+// Both datasets are large; filtered queries can take a while
+const NFIP_TIMEOUT_MS = 30000;
+const NFIP_TOP_EVENTS = 5;
+
+const CLAIM_FIELDS = [
+  "yearOfLoss", "floodEvent",
+  "amountPaidOnBuildingClaim", "amountPaidOnContentsClaim", "amountPaidOnIncreasedCostOfComplianceClaim",
+];
+
+const claimPaid = (claim) =>
+  (claim.amountPaidOnBuildingClaim ?? 0) + (claim.amountPaidOnContentsClaim ?? 0) + (claim.amountPaidOnIncreasedCostOfComplianceClaim ?? 0);
+
+export async function fetchNFIPClaims(countyFips, options = {}) {
+  const claims = [];
+  for (let skip = 0; skip < NFIP_MAX_CLAIMS; skip += NFIP_PAGE_SIZE) {
+    // `id` orders claims within a year, so pages neither overlap nor skip any
+    const url = `${NFIP_CLAIMS_BASE}?$filter=countyCode eq '${countyFips}'&$select=${CLAIM_FIELDS.join(",")}&$orderby=yearOfLoss desc,id&$top=${NFIP_PAGE_SIZE}&$skip=${skip}`;
+    const data = await fetchJSON(url, { timeoutMs: NFIP_TIMEOUT_MS, ...options, provider: "openfema" });
+    const page = data?.FimaNfipClaims;
+    if (!Array.isArray(page)) throw new ProviderError("openfema", "malformed");
+    claims.push(...page);
+    if (page.length < NFIP_PAGE_SIZE) return { claims, complete: true };
+  }
+  const partialYear = claims[claims.length - 1].yearOfLoss;
+  const wholeYears = claims.filter((claim) => claim.yearOfLoss !== partialYear);
+  return { claims: wholeYears.length ? wholeYears : claims, complete: false };
+}
+
+// Policies in force today; only the count is requested
+export async function fetchNFIPPolicyCount(countyFips, options = {}) {
+  const now = new Date().toISOString();
+  const filter = `countyCode eq '${countyFips}' and policyEffectiveDate le '${now}' and policyTerminationDate gt '${now}'`;
+  const data = await fetchJSON(`${NFIP_POLICIES_BASE}?$filter=${filter}&$select=id&$top=1&$count=true`, {
+    timeoutMs: NFIP_TIMEOUT_MS,
+    ...options,
+    provider: "openfema",
+  });
+  const count = data?.metadata?.count;
+  if (typeof count !== "number") throw new ProviderError("openfema", "malformed");
+  return count;
+}
+
+// Claims by year, the largest named flood events, and averages over paid claims
+export function summarizeNFIPClaims(claims) {
+  const years = new Map();
+  const events = new Map();
+  let totalPaid = 0;
+  let paidClaims = 0;
+
+  for (const claim of claims) {
+    const paid = claimPaid(claim);
+    totalPaid += paid;
+    if (paid > 0) paidClaims++;
+    if (claim.yearOfLoss) {
+      const year = years.get(claim.yearOfLoss) ?? { year: claim.yearOfLoss, claims: 0, paid: 0 };
+      year.claims++;
+      year.paid += paid;
+      years.set(claim.yearOfLoss, year);
+    }
+    if (claim.floodEvent) {
+      const event = events.get(claim.floodEvent) ?? { name: claim.floodEvent, year: claim.yearOfLoss, claims: 0, paid: 0 };
+      event.claims++;
+      event.paid += paid;
+      events.set(claim.floodEvent, event);
+    }
+  }
+
+  const byYear = [...years.values()].sort((a, b) => a.year - b.year);
+  return {
+    totalClaims: claims.length,
+    totalPaid,
+    averagePaid: paidClaims ? totalPaid / paidClaims : null,
+    firstYear: byYear[0]?.year ?? null,
+    lastYear: byYear[byYear.length - 1]?.year ?? null,
+    byYear,
+    topEvents: [...events.values()].sort((a, b) => b.claims - a.claims).slice(0, NFIP_TOP_EVENTS),
+  };
+}
+
+// As { value: { claims: summary, complete, policiesInForce }, source, fetchedAt, stale }.
+// A failed policy count leaves policiesInForce null rather than failing the claims.
+export function loadNFIPData(countyFips, options = {}) {
+  return cached(`nfip:${countyFips}`, NFIP_CACHE_TTL, async () => {
+    const [{ claims, complete }, policiesInForce] = await Promise.all([
+      fetchNFIPClaims(countyFips, options),
+      fetchNFIPPolicyCount(countyFips, options).catch((err) => {
+        if (isAbortError(err)) throw err;
+        return null;
+      }),
+    ]);
+    return { claims: summarizeNFIPClaims(claims), complete, policiesInForce };
+  }, options);
+}
+
+// ─── ASSESSMENT ──────────────────────────────────────────────────────
+// One call from a search string to a complete result. ZIPs that span
+// counties are scored on the county holding the largest share unless
+// `county` names another one or "blended". Batches pass the same `nriCache`
+// Map to every call so each county is fetched once.
+
+export const SOURCE_ORDER = ["live", "bundled", "cache", "snapshot"];
+
+// Of several loads, the one furthest from live (and oldest) describes the result as a whole
+export function leastCurrentSource(sources) {
+  return [...sources].sort(
+    (a, b) => SOURCE_ORDER.indexOf(b.source) - SOURCE_ORDER.indexOf(a.source) || a.fetchedAt - b.fetchedAt
+  )[0];
+}
+
+// NRI's own rating where it gives one, otherwise derived from the score
+function ratingFor(score, nriRating) {
+  if (typeof score !== "number" || score < 0) return null;
+  return nriRating || getRiskRating(score).label;
+}
+
+function compositeIndex(nriData, prefix) {
+  const score = nriData?.[`${prefix}_SCORE`];
+  return { score: typeof score === "number" ? score : null, rating: ratingFor(score, nriData?.[`${prefix}_RATNG`]) };
+}
+
+// Per-hazard scores, odds and losses for one NRI record, in HAZARD_CONFIG order
+export function assessHazards(nriData, { horizonYears = 1 } = {}) {
+  return Object.entries(HAZARD_CONFIG).map(([id, config]) => {
+    const score = nriData?.[`${config.key}_RISKS`];
+    const odds = frequencyToOdds(nriData?.[`${config.key}_APTS`], config.key);
+    return {
+      id,
+      key: config.key,
+      label: config.label,
+      applicable: isHazardApplicable(nriData, config.key),
+      score: typeof score === "number" && score >= 0 ? score : null,
+      rating: ratingFor(score, nriData?.[`${config.key}_RISKR`]),
+      odds: {
+        annual: odds.odds,
+        horizon: cumulativeProbability(odds.odds, horizonYears),
+        text: odds.text,
+        detail: odds.detail,
+        frequency: odds.frequency ?? null,
+        basis: config.frequencyBasis,
+      },
+      losses: getLossBreakdown(nriData, config.key),
+    };
+  });
+}
+
+// Scores an NRI record that is already loaded (no network)
+export function assessRecord(nriData, { horizonYears = 1 } = {}) {
+  const hazards = assessHazards(nriData, { horizonYears });
+  const annual = combinedProbability(hazards.filter((h) => h.applicable).map((h) => h.odds.annual));
+  return {
+    nriVersion: NRI_VERSION,
+    horizonYears,
+    indices: {
+      risk: compositeIndex(nriData, "RISK"),
+      expectedLoss: { ...compositeIndex(nriData, "EAL"), dollars: toDollars(nriData?.EAL_VALT) },
+      socialVulnerability: compositeIndex(nriData, "SOVI"),
+      communityResilience: compositeIndex(nriData, "RESL"),
+    },
+    combined: { annual, horizon: cumulativeProbability(annual, horizonYears) },
+    hazards,
+    nri: nriData,
+  };
+}
+
+function loadSharedNRIData(fips, options) {
+  const { nriCache } = options;
+  if (!nriCache) return loadNRIData(fips, options);
+  if (!nriCache.has(fips)) {
+    const load = loadNRIData(fips, options);
+    nriCache.set(fips, load);
+    // Let a later row retry a county that failed
+    load.catch(() => nriCache.delete(fips));
+  }
+  return nriCache.get(fips);
+}
+
+// NRI records for every county a location touches, as { records: { [fips]:
+// record }, loaded: counties that loaded, in location order, source }. A county
+// that fails is left out; throws the first county's error when none load.
+export async function loadCountyRecords(location, options = {}) {
+  const results = await Promise.allSettled(location.counties.map((c) => loadSharedNRIData(c.fips, options)));
+  const records = {};
+  const nriSources = [];
+  results.forEach((result, i) => {
+    if (result.status !== "fulfilled") return;
+    const { value, ...source } = result.value;
+    records[location.counties[i].fips] = value;
+    nriSources.push(source);
+  });
+  const loaded = location.counties.filter((c) => records[c.fips]);
+  if (loaded.length === 0) throw results[0].reason;
+  return { records, loaded, source: leastCurrentSource(nriSources) };
+}
+
+export async function assessLocation(query, options = {}) {
+  const { horizonYears = 1, county } = options;
+  const { value: location, ...locationSource } = await loadLocation(query, options);
+  const { records, loaded, source: nriSource } = await loadCountyRecords(location, options);
+
+  let nriData;
+  if (county === "blended") {
+    nriData = blendNRIRecords(loaded.map((c) => ({ nriData: records[c.fips], share: c.share })));
+  } else if (county) {
+    nriData = records[county];
+    if (!nriData) throw new Error(`${query} does not include county ${county}, or its NRI data could not be loaded.`);
+  } else {
+    nriData = records[loaded[0].fips];
+  }
+
+  return {
+    query,
+    location,
+    counties: location.counties.map((c) => ({ ...c, loaded: Boolean(records[c.fips]) })),
+    ...assessRecord(nriData, { horizonYears }),
+    sources: { location: locationSource, nri: nriSource },
+  };
+}
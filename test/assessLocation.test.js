@@ -0,0 +1,76 @@
+// assessLocation and loadCountyRecords against local fixtures, through the
+// engine's injectable fetch. Run with `npm test`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { assessLocation, loadCountyRecords } from "../src/riskEngine.js";
+
+const fixture = async (name) => JSON.parse(await readFile(new URL(`./fixtures/${name}`, import.meta.url), "utf8"));
+
+// Serves each request from the first route whose pattern matches the URL, and
+// 404s anything else so an unexpected request fails the test
+function fixtureFetch(routes, requested = []) {
+  return async (url) => {
+    requested.push(String(url));
+    const route = routes.find(([pattern]) => pattern.test(decodeURIComponent(String(url))));
+    if (!route) return new Response("Not found", { status: 404 });
+    return new Response(JSON.stringify(route[1]), { headers: { "Content-Type": "application/json" } });
+  };
+}
+
+const options = (fetch) => ({ fetch, cache: false, retries: 0 });
+
+test("assessLocation scores coordinates from the FCC county and its NRI record", async () => {
+  const requested = [];
+  const fetch = fixtureFetch(
+    [
+      [/geo\.fcc\.gov\/api\/census\/area\?lat=37\.7749&lon=-122\.4194/, await fixture("fcc-area-06075.json")],
+      [/NriCountyData.*stateCode eq '06' and countyCode eq '075'/, await fixture("nri-06075.json")],
+    ],
+    requested
+  );
+
+  const result = await assessLocation("37.7749, -122.4194", { ...options(fetch), horizonYears: 30 });
+
+  assert.equal(requested.length, 2);
+  assert.equal(result.location.fips, "06075");
+  assert.equal(result.location.geocoder, "fcc");
+  assert.deepEqual(result.counties, [{ fips: "06075", countyName: "San Francisco County", share: 1, loaded: true }]);
+  assert.equal(result.horizonYears, 30);
+  assert.equal(result.indices.risk.score, 99.1);
+  assert.equal(result.sources.nri.source, "live");
+
+  const earthquake = result.hazards.find((h) => h.id === "earthquake");
+  assert.equal(earthquake.applicable, true);
+  assert.equal(earthquake.rating, "Very High");
+  assert.ok(earthquake.odds.horizon > earthquake.odds.annual);
+  assert.equal(result.hazards.find((h) => h.id === "hurricane").applicable, false);
+});
+
+test("loadCountyRecords keeps the counties that load and skips one FEMA has no data for", async () => {
+  const fetch = fixtureFetch([
+    [/countyCode eq '075'/, await fixture("nri-06075.json")],
+    [/countyCode eq '081'/, { NriCountyData: [] }],
+  ]);
+  const location = {
+    fips: "06081",
+    counties: [
+      { fips: "06081", countyName: "San Mateo County", share: 0.6 },
+      { fips: "06075", countyName: "San Francisco County", share: 0.4 },
+    ],
+  };
+
+  const { records, loaded, source } = await loadCountyRecords(location, options(fetch));
+
+  assert.deepEqual(Object.keys(records), ["06075"]);
+  assert.deepEqual(loaded.map((c) => c.fips), ["06075"]);
+  assert.equal(source.source, "live");
+});
+
+test("loadCountyRecords throws the first county's error when none load", async () => {
+  const fetch = fixtureFetch([[/NriCountyData/, { NriCountyData: [] }]]);
+  const location = { fips: "06075", counties: [{ fips: "06075", countyName: "San Francisco County", share: 1 }] };
+
+  await assert.rejects(loadCountyRecords(location, options(fetch)), /no National Risk Index data for county 06075/);
+});
@@ -5,5 +5,7 @@ export default defineConfig({
   plugins: [react()],
   build: {
     outDir: 'dist',
+    // The bundled county boundaries are a single lazy-loaded chunk of ~800 kB
+    chunkSizeWarningLimit: 1000,
   },
 })